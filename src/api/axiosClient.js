@@ -19,4 +19,86 @@ axiosClient.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
-export default axiosClient;
\ No newline at end of file
+/**
+ * Silent token refresh
+ *
+ * - on a 401, POST /auth/refresh with the stored refreshToken
+ * - only one refresh runs at a time; other failed requests wait on it
+ * - replay the original requests with the new token
+ * - if the refresh fails, call the handler registered by AuthContext (logout)
+ */
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+let refreshPromise = null;
+let onAuthFailure = null;
+
+// AuthContext registers its logout here so the client can end the session
+export function setAuthFailureHandler(handler) {
+    onAuthFailure = handler;
+}
+
+const refreshAccessToken = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+        throw new Error('No refresh token available');
+    }
+
+    // bare axios so this call never goes through our own interceptors
+    const res = await axios.post(
+        `${import.meta.env.VITE_API_URL}/auth/refresh`,
+        { refreshToken }
+    );
+
+    const { token, refreshToken: newRefreshToken } = res.data;
+    if (!token) {
+        throw new Error('Refresh response did not include a token');
+    }
+
+    localStorage.setItem('token', token);
+    if (newRefreshToken) {
+        localStorage.setItem('refreshToken', newRefreshToken);
+    }
+    return token;
+};
+
+axiosClient.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const original = error.config;
+        const status = error.response?.status;
+
+        const isAuthEndpoint = AUTH_ENDPOINTS.some((path) =>
+            original?.url?.startsWith(path)
+        );
+
+        if (status !== 401 || !original || original._retry || isAuthEndpoint) {
+            return Promise.reject(error);
+        }
+        original._retry = true;
+
+        try {
+            // share a single refresh between all requests that failed together
+            if (!refreshPromise) {
+                refreshPromise = refreshAccessToken().finally(() => {
+                    refreshPromise = null;
+                });
+            }
+            const token = await refreshPromise;
+
+            original.headers = original.headers || {};
+            original.headers.Authorization = `Bearer ${token}`;
+            return axiosClient(original);
+        } catch (refreshError) {
+            console.error('Session refresh failed:', refreshError);
+            if (onAuthFailure) onAuthFailure();
+
+            error.response.data = {
+                ...(error.response.data || {}),
+                message: 'Your session has expired. Please sign in again.',
+            };
+            return Promise.reject(error);
+        }
+    }
+);
+
+export default axiosClient;
@@ -0,0 +1,22 @@
+import axiosClient from "./axiosClient.js";
+
+export const categoryApi = {
+  // List categories with their product count
+  getCategories: () => axiosClient.get("/categories"),
+
+  // Create a category ({ name })
+  createCategory: (data) => axiosClient.post("/categories", data),
+
+  // Rename a category; its products follow the new name
+  updateCategory: (id, data) => axiosClient.put(`/categories/${id}`, data),
+
+  // Move every product of `id` into `targetId`, then remove `id`
+  mergeCategory: (id, targetId) =>
+    axiosClient.post(`/categories/${id}/merge`, { targetId }),
+
+  // Delete a category; products are moved to `reassignTo` (category id)
+  deleteCategory: (id, reassignTo) =>
+    axiosClient.delete(`/categories/${id}`, {
+      params: reassignTo ? { reassignTo } : undefined,
+    }),
+};
@@ -0,0 +1,27 @@
+import axiosClient from "./axiosClient.js";
+
+export const customerApi = {
+  // List customers (params: page, limit, search by name / email / phone)
+  getCustomers: (params) => axiosClient.get("/customers", { params }),
+
+  // Get single customer
+  getCustomerById: (id) => axiosClient.get(`/customers/${id}`),
+
+  // Create a customer ({ name, email, phone, notes })
+  createCustomer: (data) => axiosClient.post("/customers", data),
+
+  // Update customer details
+  updateCustomer: (id, data) => axiosClient.put(`/customers/${id}`, data),
+
+  // Lifetime figures over the customer's whole history (sales linked by
+  // customerId or, for older ones, carrying their email), totalled by the
+  // server in `baseCurrency`: { lifetimeRevenue, orderCount,
+  // averageOrderValue, lastPurchase, outstandingBalance, outstandingCount,
+  // topProducts: [{ product, quantity, revenue }] }
+  getCustomerStats: (id, baseCurrency) =>
+    axiosClient.get(`/customers/${id}/stats`, { params: { baseCurrency } }),
+
+  // Move every sale of duplicate `id` to `targetId`, then remove `id`
+  mergeCustomer: (id, targetId) =>
+    axiosClient.post(`/customers/${id}/merge`, { targetId }),
+};
@@ -7,18 +7,21 @@ import axiosClient from "./axiosClient";
  * Uses axiosclient, so JWT is handled automatically
  */
 export const dashboardApi = {
-    //GET /api/sales/revenue/monthly?year=yyy
-    getMonthlyRevenue: (year) => 
+    //GET /api/sales/revenue/monthly?year=yyy&baseCurrency=USD
+    // baseCurrency: sales in other currencies are converted to it by the server
+    getMonthlyRevenue: (year, baseCurrency) => 
         axiosClient.get('/sales/revenue/monthly', {
-            params: { year },
+            params: { year, baseCurrency },
         }),
 
-        // GET /api/invoices/stats
-        getInvoiceStats: () => axiosClient.get('/invoices/stats'),
+        // GET /api/invoices/stats?baseCurrency=USD
+        getInvoiceStats: (baseCurrency) =>
+            axiosClient.get('/invoices/stats', { params: { baseCurrency } }),
 
-        // GET /api/products/low-stock?threshold=5
-        getLowStock: (threshold = 5) =>
+        // GET /api/products/low-stock[?threshold=5]
+        // without a threshold each product is compared to its own minStock
+        getLowStock: (threshold) =>
             axiosClient.get('/products/low-stock', {
-                params: { threshold },
+                params: threshold != null ? { threshold } : {},
             }),
 };
\ No newline at end of file
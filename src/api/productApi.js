@@ -11,4 +11,10 @@ export const productApi = {
     deleteProduct: (id) => axiosClient.delete(`/products/${id}`),
 
     updateProduct: (id, data) => axiosClient.put(`/products/${id}`, data),
+
+    // { type, quantity, reason, note }; 'count' sets the stock to quantity
+    adjustStock: (id, data) => axiosClient.post(`/products/${id}/stock-adjustments`, data),
+
+    // ledger of every stock change, sales included
+    getStockMovements: (id, params) => axiosClient.get(`/products/${id}/stock-movements`, { params }),
 };
\ No newline at end of file
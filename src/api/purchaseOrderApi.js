@@ -0,0 +1,20 @@
+import axiosClient from "./axiosClient.js";
+
+export const purchaseOrderApi = {
+  // List purchase orders ({ status, supplier, page, limit })
+  getPurchaseOrders: (params) => axiosClient.get("/purchase-orders", { params }),
+
+  // Get single purchase order with its lines
+  getPurchaseOrderById: (id) => axiosClient.get(`/purchase-orders/${id}`),
+
+  // Create a draft PO ({ supplier, expectedDate, notes, lines })
+  createPurchaseOrder: (data) => axiosClient.post("/purchase-orders", data),
+
+  // Update a PO (e.g. { status: "sent" } or { status: "cancelled" })
+  updatePurchaseOrder: (id, data) => axiosClient.put(`/purchase-orders/${id}`, data),
+
+  // Receive goods ({ lines: [{ productId, quantity, unitCost }] });
+  // increases product stock and updates product cost
+  receivePurchaseOrder: (id, data) =>
+    axiosClient.post(`/purchase-orders/${id}/receive`, data),
+};
@@ -1,10 +1,17 @@
 import axiosClient from "./axiosClient";
 
+// baseCurrency is the store currency: the server converts sales / invoices
+// in other currencies at their exchange rate before adding them up
 export const reportsApi = {
-  getSalesStats: () => axiosClient.get("/sales/stats"),
-  getMonthlyRevenue: (year) =>
-    axiosClient.get("/sales/revenue/monthly", { params: { year } }),
-  getTopProducts: (limit = 5) =>
-    axiosClient.get("/sales/top-products", { params: { limit } }),
-  getInvoiceStats: () => axiosClient.get("/invoices/stats"),
+  getSalesStats: (baseCurrency) =>
+    axiosClient.get("/sales/stats", { params: { baseCurrency } }),
+  getMonthlyRevenue: (year, baseCurrency) =>
+    axiosClient.get("/sales/revenue/monthly", { params: { year, baseCurrency } }),
+  getTopProducts: (limit = 5, baseCurrency) =>
+    axiosClient.get("/sales/top-products", { params: { limit, baseCurrency } }),
+  getInvoiceStats: (baseCurrency) =>
+    axiosClient.get("/invoices/stats", { params: { baseCurrency } }),
+  // tax collected per rate for sales in [from, to] (YYYY-MM-DD)
+  getTaxSummary: (from, to, baseCurrency) =>
+    axiosClient.get("/sales/tax-summary", { params: { from, to, baseCurrency } }),
 };
@@ -15,7 +15,7 @@ export const salesApi = {
     getSales: (params) => axiosClient.get('/sales', { params }),
 
     //Get single sale by ID
-    getSaleById: (id) => axiosClient.get(`/sales/:${id}`),
+    getSaleById: (id) => axiosClient.get(`/sales/${id}`),
 
     //update sale
     updateSale: (id, data) => axiosClient.put(`/sales/${id}`, data),
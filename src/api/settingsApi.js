@@ -0,0 +1,9 @@
+import axiosClient from "./axiosClient.js";
+
+export const settingsApi = {
+  // Store-wide settings ({ currency, locale })
+  getSettings: () => axiosClient.get("/settings"),
+
+  // Update store settings (admin)
+  updateSettings: (data) => axiosClient.put("/settings", data),
+};
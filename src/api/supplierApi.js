@@ -0,0 +1,18 @@
+import axiosClient from "./axiosClient.js";
+
+export const supplierApi = {
+  // List suppliers with productCount and stockValue
+  getSuppliers: (params) => axiosClient.get("/suppliers", { params }),
+
+  // Get single supplier
+  getSupplierById: (id) => axiosClient.get(`/suppliers/${id}`),
+
+  // Create a supplier ({ name, contactName, email, phone, leadTimeDays })
+  createSupplier: (data) => axiosClient.post("/suppliers", data),
+
+  // Update supplier details
+  updateSupplier: (id, data) => axiosClient.put(`/suppliers/${id}`, data),
+
+  // Delete supplier; its products are left without a supplier
+  deleteSupplier: (id) => axiosClient.delete(`/suppliers/${id}`),
+};
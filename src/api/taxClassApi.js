@@ -0,0 +1,6 @@
+import axiosClient from "./axiosClient.js";
+
+export const taxClassApi = {
+  // List the store's tax classes ({ name, rate })
+  getTaxClasses: () => axiosClient.get("/tax-classes"),
+};
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import useCustomerSearch from '../hooks/useCustomerSearch.js';
+import useCombobox from '../hooks/useCombobox.js';
+
+/**
+ * CustomerAutocomplete
+ *
+ * Text input that suggests existing customers (name / email / phone) as
+ * the user types. The input stays free text: `onChange` gets the normal
+ * change event, `onSelect(customer)` is called when a suggestion is picked
+ * (click, or arrow keys + Enter).
+ */
+export default function CustomerAutocomplete({ name, value, onChange, onSelect, placeholder, invalid, excludeId }) {
+  const [open, setOpen] = useState(false);
+
+  const { results: found, loading } = useCustomerSearch(open && value.trim().length >= 2 ? value : '');
+  const results = excludeId ? found.filter((c) => c._id !== excludeId) : found;
+  const { inputRef, listRef, position, active, setHighlighted, close, pick, handleInput, handleKeyDown } = useCombobox({
+    open,
+    setOpen,
+    results,
+    onPick: onSelect,
+  });
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        name={name}
+        value={value}
+        onChange={(e) => { onChange(e); handleInput(); }}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
+        className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+        style={{
+          border: invalid ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+          background: invalid ? '#fef2f2' : '#f8fafc',
+          color: '#1e293b',
+        }}
+        onFocus={e => { if (!invalid) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+        onBlur={e => {
+          if (!invalid) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }
+          close();
+        }}
+      />
+
+      {open && position && value.trim().length >= 2 && (loading || results.length > 0) && (
+        <ul
+          ref={listRef}
+          role="listbox"
+          className="fixed z-50 bg-white rounded-xl shadow-lg overflow-auto"
+          style={{ top: position.top, left: position.left, width: position.width, maxHeight: '260px', border: '1px solid #e2e8f0' }}>
+          {results.length === 0 ? (
+            <li className="px-4 py-3 text-xs" style={{ color: '#94a3b8' }}>Searching customers…</li>
+          ) : results.map((customer, index) => (
+            <li key={customer._id} role="option" aria-selected={index === active}>
+              <button
+                type="button"
+                onMouseDown={(e) => { e.preventDefault(); pick(customer); }}
+                onMouseEnter={() => setHighlighted(index)}
+                className="w-full px-4 py-2 text-left text-sm"
+                style={{ background: index === active ? '#f1f5ff' : 'transparent' }}>
+                <span className="block font-medium" style={{ color: '#1e293b' }}>{customer.name}</span>
+                <span className="block text-xs" style={{ color: '#94a3b8' }}>
+                  {[customer.email, customer.phone].filter(Boolean).join(' · ') || 'No contact details'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
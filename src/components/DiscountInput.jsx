@@ -0,0 +1,47 @@
+import { DISCOUNT_TYPES } from '../utils/saleForm.js';
+
+/**
+ * DiscountInput
+ *
+ * Amount + "%" / currency toggle used for line and order discounts.
+ * `onChange(field, value)` is called with `discountValue` or `discountType`.
+ * `symbol` labels the fixed-amount option (the sale's currency).
+ */
+export default function DiscountInput({ discountType, discountValue, onChange, invalid, size = 'sm', symbol }) {
+  const padding = size === 'sm' ? 'px-2 py-2' : 'px-3 py-2.5';
+
+  return (
+    <div className="flex items-stretch">
+      <input
+        type="number" min="0" step="0.01"
+        value={discountValue}
+        onChange={(e) => onChange('discountValue', e.target.value)}
+        placeholder="0"
+        className={`w-20 rounded-l-lg ${padding} text-sm text-right focus:outline-none transition-all duration-150`}
+        style={{
+          border: invalid ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+          borderRight: 'none',
+          background: invalid ? '#fef2f2' : '#f8fafc',
+          color: '#1e293b',
+        }}
+        onFocus={e => { if (!invalid) e.target.style.background = '#fff'; }}
+        onBlur={e => { if (!invalid) e.target.style.background = '#f8fafc'; }}
+      />
+      <div className="flex rounded-r-lg overflow-hidden" style={{ border: invalid ? '1px solid #fca5a5' : '1px solid #e2e8f0' }}>
+        {DISCOUNT_TYPES.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onChange('discountType', option.value)}
+            className="px-2 text-xs font-semibold transition-all duration-150"
+            style={discountType === option.value
+              ? { background: '#3B5CD4', color: '#fff' }
+              : { background: '#fff', color: '#64748b' }}
+            title={option.value === 'percent' ? 'Percentage' : 'Fixed amount'}>
+            {option.value === 'fixed' && symbol ? symbol : option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
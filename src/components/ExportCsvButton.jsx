@@ -0,0 +1,63 @@
+/**
+ * ExportCsvButton
+ *
+ * "Export CSV" action used in the list page headers.
+ */
+export default function ExportCsvButton({ onClick, exporting }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={exporting}
+      className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+      style={{
+        background: "#fff",
+        border: "1px solid #e2e8f0",
+        color: exporting ? "#94a3b8" : "#475569",
+      }}
+      onMouseEnter={(e) => {
+        if (!exporting) {
+          e.currentTarget.style.borderColor = "#33B833";
+          e.currentTarget.style.color = "#16a34a";
+        }
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.borderColor = "#e2e8f0";
+        e.currentTarget.style.color = exporting ? "#94a3b8" : "#475569";
+      }}
+    >
+      {exporting ? (
+        <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
+          <circle
+            className="opacity-25"
+            cx="12"
+            cy="12"
+            r="10"
+            stroke="currentColor"
+            strokeWidth="4"
+          />
+          <path
+            className="opacity-75"
+            fill="currentColor"
+            d="M4 12a8 8 0 018-8v8z"
+          />
+        </svg>
+      ) : (
+        <svg
+          className="w-4 h-4"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+          />
+        </svg>
+      )}
+      {exporting ? "Exporting…" : "Export CSV"}
+    </button>
+  );
+}
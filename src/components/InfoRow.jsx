@@ -0,0 +1,20 @@
+/**
+ * InfoRow
+ *
+ * Small label / value pair used on the detail pages.
+ */
+export default function InfoRow({ label, value }) {
+  return (
+    <div>
+      <p
+        className="text-xs font-semibold uppercase tracking-widest mb-1"
+        style={{ color: "#94a3b8" }}
+      >
+        {label}
+      </p>
+      <p className="text-sm font-medium" style={{ color: "#1e293b" }}>
+        {value || <span style={{ color: "#cbd5e1" }}>—</span>}
+      </p>
+    </div>
+  );
+}
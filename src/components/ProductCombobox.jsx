@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import useProductSearch from '../hooks/useProductSearch.js';
+import useCombobox from '../hooks/useCombobox.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+/**
+ * ProductCombobox
+ *
+ * Product picker for sale and purchase order lines: searches the backend by name / SKU as
+ * the user types (debounced) instead of loading the whole catalog.
+ * Arrow keys move through the results, Enter picks, Escape closes.
+ * Results show price and available stock.
+ *
+ * `product` is the selected product (or null; `productId` is shown until
+ * it is known), `onSelect(product)` picks.
+ */
+export default function ProductCombobox({ product, productId, onSelect, invalid }) {
+  const { formatMoney } = useSettings();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+
+  const { results, loading, error } = useProductSearch(open ? query : '');
+  const { inputRef, listRef, position, active, setHighlighted, openList, close, pick, handleInput, handleKeyDown } = useCombobox({
+    open,
+    setOpen,
+    results,
+    onPick: (selected) => { onSelect(selected); inputRef.current?.blur(); },
+    onClose: () => setQuery(''),
+    minWidth: 360,
+  });
+
+  const label = product ? `${product.sku} — ${product.name}` : productId || '';
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        value={open ? query : label}
+        onChange={(e) => { setQuery(e.target.value); handleInput(); }}
+        onKeyDown={(e) => {
+          // never submit the sale form from the picker
+          if (e.key === 'Enter') e.preventDefault();
+          handleKeyDown(e);
+        }}
+        placeholder={open && label ? label : 'Search name or SKU…'}
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
+        className="w-full rounded-lg px-3 py-2 text-sm focus:outline-none transition-all duration-150"
+        style={{
+          border: invalid ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+          background: invalid ? '#fef2f2' : '#f8fafc',
+          color: '#1e293b',
+          minWidth: '220px',
+        }}
+        onFocus={e => {
+          if (!invalid) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }
+          openList();
+        }}
+        onBlur={e => {
+          if (!invalid) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }
+          close();
+        }}
+      />
+
+      {open && position && query.trim() && (
+        <ul
+          ref={listRef}
+          role="listbox"
+          className="fixed z-50 bg-white rounded-xl shadow-lg overflow-auto"
+          style={{ top: position.top, left: position.left, width: position.width, maxHeight: '280px', border: '1px solid #e2e8f0' }}>
+          {results.length === 0 ? (
+            <li className="px-4 py-3 text-xs" style={{ color: error ? '#dc2626' : '#94a3b8' }}>
+              {loading ? 'Searching…' : error || 'No matching products'}
+            </li>
+          ) : results.map((result, index) => {
+            const outOfStock = Number(result.stock) <= 0;
+            return (
+              <li key={result._id} role="option" aria-selected={index === active}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => { e.preventDefault(); pick(result); }}
+                  onMouseEnter={() => setHighlighted(index)}
+                  className="w-full px-4 py-2 flex items-center justify-between gap-4 text-left text-sm"
+                  style={{ background: index === active ? '#f1f5ff' : 'transparent' }}>
+                  <span className="min-w-0">
+                    <span className="block truncate" style={{ color: '#1e293b' }}>{result.name}</span>
+                    <span className="block font-mono text-xs" style={{ color: '#94a3b8' }}>{result.sku}</span>
+                  </span>
+                  <span className="text-right flex-shrink-0">
+                    <span className="block text-xs font-semibold" style={{ color: '#1e293b' }}>
+                      {formatMoney(result.price)}
+                    </span>
+                    <span className="block text-xs" style={{ color: outOfStock ? '#dc2626' : '#64748b' }}>
+                      {outOfStock ? 'Out of stock' : `${result.stock} in stock`}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
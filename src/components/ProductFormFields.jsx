@@ -0,0 +1,157 @@
+import { PRODUCT_FIELDS } from '../utils/productSchema.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+const SECTIONS = [
+  {
+    key: 'identity',
+    title: 'Product Identity',
+    icon: 'M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z',
+  },
+  {
+    key: 'pricing',
+    title: 'Pricing',
+    icon: 'M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z',
+  },
+  {
+    key: 'stock',
+    title: 'Stock Levels',
+    icon: 'M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4',
+  },
+];
+
+const SELECT_ARROW = `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%2394a3b8'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'/%3E%3C/svg%3E")`;
+
+/**
+ * ProductFormFields
+ *
+ * The Product Identity / Pricing / Stock Levels cards shared by the
+ * create and edit pages. Fields, labels and rules come from
+ * utils/productSchema — add a field there and it shows up here.
+ * `options` can override a select field's choices, e.g. { category: [...] },
+ * as strings or { value, label }.
+ * `disabledFields` lists keys shown read-only (e.g. stock on edit, which
+ * changes through stock adjustments instead).
+ */
+export default function ProductFormFields({ form, errors, onChange, options = {}, disabledFields = [] }) {
+  const { currencySymbol } = useSettings();
+
+  const renderInput = (field) => {
+    const error = errors[field.key];
+    const prefix = field.money ? currencySymbol() : field.prefix;
+    const disabled = disabledFields.includes(field.key);
+    const baseStyle = {
+      border: error ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+      background: error ? '#fef2f2' : disabled ? '#f1f5f9' : '#f8fafc',
+      color: disabled ? '#64748b' : '#1e293b',
+    };
+    const focusHandlers = disabled ? {} : {
+      onFocus: e => { if (!error) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } },
+      onBlur: e => { if (!error) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } },
+    };
+
+    if (field.type === 'select') {
+      const choices = (options[field.key] || field.options).map((choice) =>
+        typeof choice === 'string' ? { value: choice, label: choice } : choice
+      );
+      // keep a value that is no longer in the list (e.g. a deleted category) selectable
+      const withCurrent = form[field.key] && !choices.some((c) => c.value === form[field.key])
+        ? [...choices, { value: form[field.key], label: form[field.key] }]
+        : choices;
+      return (
+        <select
+          name={field.key}
+          value={form[field.key]}
+          onChange={onChange}
+          className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none appearance-none"
+          style={{
+            ...baseStyle,
+            color: form[field.key] ? '#1e293b' : '#94a3b8',
+            backgroundImage: SELECT_ARROW,
+            backgroundRepeat: 'no-repeat',
+            backgroundPosition: 'right 14px center',
+            backgroundSize: '14px',
+            paddingRight: '36px',
+          }}
+          {...focusHandlers}>
+          <option value="">{field.placeholder}</option>
+          {withCurrent.map((choice) => (
+            <option key={choice.value} value={choice.value}>{choice.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (field.type === 'textarea') {
+      return (
+        <textarea
+          name={field.key}
+          value={form[field.key]}
+          onChange={onChange}
+          placeholder={field.placeholder}
+          rows={3}
+          className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none resize-none"
+          style={baseStyle}
+          {...focusHandlers}
+        />
+      );
+    }
+
+    const input = (
+      <input
+        name={field.key}
+        type={field.type || 'text'}
+        step={field.step}
+        value={form[field.key]}
+        onChange={onChange}
+        placeholder={field.placeholder}
+        required={field.required}
+        disabled={disabled}
+        className={`w-full rounded-xl ${prefix ? 'pl-8' : 'px-4'} pr-4 py-2.5 text-sm ${field.mono ? 'font-mono ' : ''}transition-all duration-150 focus:outline-none`}
+        style={baseStyle}
+        {...focusHandlers}
+      />
+    );
+
+    if (!prefix) return input;
+
+    return (
+      <div className="relative">
+        <span className="absolute left-4 top-1/2 -translate-y-1/2 text-sm font-medium" style={{ color: '#94a3b8' }}>{prefix}</span>
+        {input}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      {SECTIONS.map((section) => (
+        <div key={section.key} className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+          <div className="px-6 py-4 border-b flex items-center gap-2" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+            <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={section.icon} />
+            </svg>
+            <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>{section.title}</h2>
+          </div>
+          <div className="p-6 grid gap-5 md:grid-cols-2">
+            {PRODUCT_FIELDS.filter((field) => field.section === section.key).map((field) => (
+              <div key={field.key} className={field.fullWidth ? 'md:col-span-2' : undefined}>
+                <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                  {field.label}{' '}
+                  {field.required && <span style={{ color: '#ef4444' }}>*</span>}
+                  {field.hint && <span style={{ color: '#cbd5e1', fontWeight: 400 }}>{field.hint}</span>}
+                </label>
+                {renderInput(field)}
+                {errors[field.key] && (
+                  <p className="mt-1.5 text-xs flex items-center gap-1" style={{ color: '#dc2626' }}>
+                    <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
+                    {errors[field.key]}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,137 @@
+import { useRef, useState } from 'react';
+import { productApi } from '../api/productApi.js';
+import useProductSearch from '../hooks/useProductSearch.js';
+import { findProductBySku } from '../utils/saleForm.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * ProductScanInput
+ *
+ * Barcode / SKU input for the counter. Keyboard-wedge scanners type the
+ * code and press Enter, so Enter looks the SKU up (products already on the
+ * sale first, then the backend) and hands the product to `onProduct`. Typing searches
+ * the catalog and shows matching products that can be clicked instead; the
+ * list closes on blur and Escape, like ProductCombobox.
+ */
+export default function ProductScanInput({ products, onProduct }) {
+  const { formatMoney } = useSettings();
+  const inputRef = useRef(null);
+  const [code, setCode] = useState('');
+  const [open, setOpen] = useState(false);
+  const [looking, setLooking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // scanners finish a code in a few milliseconds, well inside the debounce
+  const { results: suggestions } = useProductSearch(
+    open && code.trim().length >= 2 && !looking ? code : '',
+    { limit: MAX_SUGGESTIONS },
+  );
+
+  const addProduct = (product) => {
+    onProduct(product);
+    setMessage({ type: 'success', text: `Added ${product.sku} — ${product.name}` });
+    setCode('');
+    inputRef.current?.focus();
+  };
+
+  const lookup = async () => {
+    const scanned = code.trim();
+    if (!scanned) return;
+
+    const local = findProductBySku(products, scanned);
+    if (local) {
+      addProduct(local);
+      return;
+    }
+
+    setLooking(true);
+    try {
+      const res = await productApi.getProducts({ search: scanned, limit: 10 });
+      const remote = findProductBySku(res.data.data || [], scanned);
+      if (remote) {
+        addProduct(remote);
+      } else {
+        setMessage({ type: 'error', text: `No product with SKU "${scanned}"` });
+        setCode('');
+      }
+    } catch (err) {
+      console.error('Error looking up scanned product:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to look up product' });
+    } finally {
+      setLooking(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter must not submit the surrounding sale form
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!looking) lookup();
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setCode('');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm" style={{ border: '1px solid #e2e8f0' }}>
+      <div className="px-6 py-4 flex flex-wrap items-center gap-4">
+        <div className="flex items-center gap-2">
+          <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
+          </svg>
+          <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Scan or Type SKU</h2>
+        </div>
+
+        <div className="relative flex-1 min-w-64">
+          <input
+            ref={inputRef}
+            autoFocus
+            value={code}
+            onChange={(e) => { setCode(e.target.value); setMessage(null); setOpen(true); }}
+            onKeyDown={handleKeyDown}
+            placeholder="Scan a barcode or type a SKU and press Enter"
+            className="w-full rounded-xl px-4 py-2.5 text-sm font-mono transition-all duration-150 focus:outline-none"
+            style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+            onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; setOpen(true); }}
+            onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; setOpen(false); }}
+          />
+
+          {open && suggestions.length > 0 && (
+            <ul className="absolute z-10 left-0 right-0 mt-1 bg-white rounded-xl shadow-lg overflow-hidden"
+              style={{ border: '1px solid #e2e8f0' }}>
+              {suggestions.map((p) => (
+                <li key={p._id}>
+                  <button
+                    type="button"
+                    // mousedown keeps focus in the input so the next scan goes there
+                    onMouseDown={(e) => { e.preventDefault(); addProduct(p); }}
+                    className="w-full px-4 py-2 flex items-center justify-between gap-4 text-left text-sm"
+                    onMouseEnter={e => e.currentTarget.style.background = '#fafbff'}
+                    onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
+                    <span style={{ color: '#1e293b' }}>
+                      <span className="font-mono text-xs mr-2" style={{ color: '#94a3b8' }}>{p.sku}</span>
+                      {p.name}
+                    </span>
+                    <span className="text-xs font-semibold" style={{ color: '#475569' }}>{formatMoney(p.price)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {looking ? (
+          <span className="text-xs" style={{ color: '#64748b' }}>Looking up…</span>
+        ) : message && (
+          <span className="text-xs font-medium" style={{ color: message.type === 'error' ? '#dc2626' : '#16a34a' }}>
+            {message.text}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
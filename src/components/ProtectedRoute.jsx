@@ -1,31 +1,29 @@
 import { Navigate, Outlet } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { hasRole } from '../context/roles';
+import ForbiddenPage from '../pages/ForbiddenPage';
 
 /**
  * ProtectedRoute
  * 
  * Wraps routed that require authentication
- * - If still loading auth state, shows a loading screen.
  * - If no user, redirects to /login
+ * - If allowedRoles is given and the user's role isn't in it, shows the 403 page
  * - If user exist, renders child routes (<Outlet />)
  */
-export default function ProtectedRoute() {
-    const { user, loading } = useAuth();
-
-    //whilr checking localStorage / auth state
-    if (loading) {
-        return (
-            <div className="min-h-screen flex items-center justify-center bg-slate-100">
-                <div className="text-slate-600 text-sm">Loading...</div>
-            </div>
-        );
-    }
+export default function ProtectedRoute({ allowedRoles }) {
+    const { user } = useAuth();
 
     // if not logged in, go to login page
     if (!user) {
         return <Navigate to="/login" replace />;
     }
 
+    // logged in, but not allowed to see this route
+    if (!hasRole(user, allowedRoles)) {
+        return <ForbiddenPage />;
+    }
+
     //user is logged in -> render the nested route
     return <Outlet />
-}
\ No newline at end of file
+}
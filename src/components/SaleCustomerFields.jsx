@@ -0,0 +1,224 @@
+import { Link } from 'react-router-dom';
+import CustomerAutocomplete from './CustomerAutocomplete.jsx';
+import DiscountInput from './DiscountInput.jsx';
+import { useSettings } from '../context/SettingsContext.jsx';
+import { CURRENCIES } from '../utils/money.js';
+
+/**
+ * SaleCustomerFields
+ *
+ * Customer information, order discount and sale currency card shared by
+ * the sale create and edit pages (tax is set per line, see SaleItemsEditor).
+ * An empty `customer.currency` is the store's base currency; any other
+ * currency needs `customer.exchangeRate` (base units per 1 unit of it).
+ *
+ * With `onSelectCustomer` the name field suggests existing customers;
+ * picking one fills name / email / phone (`customer.customerId`), and a
+ * new name can be saved to the directory (`customer.saveCustomer`).
+ */
+export default function SaleCustomerFields({ customer, fieldErrors, onChange, onSelectCustomer }) {
+  const { currency: baseCurrency, currencySymbol } = useSettings();
+  // a saved sale in the base currency has it spelled out
+  const saleCurrency = customer.currency === baseCurrency ? '' : customer.currency;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+      <div className="px-6 py-4 border-b flex items-center gap-2" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+        <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+        </svg>
+        <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Customer Information</h2>
+      </div>
+      <div className="p-6 grid gap-5 md:grid-cols-3">
+        {/* Customer name */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Customer Name
+          </label>
+          {onSelectCustomer ? (
+            <CustomerAutocomplete
+              name="customerName"
+              value={customer.customerName}
+              onChange={onChange}
+              onSelect={onSelectCustomer}
+              placeholder="Search or type a name"
+              invalid={!!fieldErrors.customerName}
+            />
+          ) : (
+            <input
+              name="customerName"
+              value={customer.customerName}
+              onChange={onChange}
+              placeholder="John Smith"
+              className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+              style={{
+                border: fieldErrors.customerName ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                background: fieldErrors.customerName ? '#fef2f2' : '#f8fafc',
+                color: '#1e293b',
+              }}
+              onFocus={e => { if (!fieldErrors.customerName) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+              onBlur={e => { if (!fieldErrors.customerName) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } }}
+            />
+          )}
+          {fieldErrors.customerName && (
+            <p className="mt-1.5 text-xs flex items-center gap-1" style={{ color: '#dc2626' }}>
+              <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
+              {fieldErrors.customerName}
+            </p>
+          )}
+          {onSelectCustomer && (customer.customerId ? (
+            <p className="mt-1.5 text-xs" style={{ color: '#16a34a' }}>
+              Existing customer ·{' '}
+              <Link to={`/customers/${customer.customerId}`} style={{ color: '#3B5CD4' }}>view</Link>
+            </p>
+          ) : customer.customerName.trim() && (
+            <label className="mt-1.5 flex items-center gap-1.5 text-xs cursor-pointer" style={{ color: '#64748b' }}>
+              <input
+                type="checkbox"
+                name="saveCustomer"
+                checked={!!customer.saveCustomer}
+                onChange={onChange}
+              />
+              Save as a new customer
+            </label>
+          ))}
+        </div>
+
+        {/* Customer email */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Customer Email
+          </label>
+          <input
+            name="customerEmail"
+            type="email"
+            value={customer.customerEmail}
+            onChange={onChange}
+            placeholder="john@example.com"
+            className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+            style={{
+              border: fieldErrors.customerEmail ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+              background: fieldErrors.customerEmail ? '#fef2f2' : '#f8fafc',
+              color: '#1e293b',
+            }}
+            onFocus={e => { if (!fieldErrors.customerEmail) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+            onBlur={e => { if (!fieldErrors.customerEmail) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } }}
+          />
+          {fieldErrors.customerEmail && (
+            <p className="mt-1.5 text-xs flex items-center gap-1" style={{ color: '#dc2626' }}>
+              <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
+              {fieldErrors.customerEmail}
+            </p>
+          )}
+        </div>
+
+        {/* Customer phone */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Customer Phone <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+          </label>
+          <input
+            name="customerPhone"
+            value={customer.customerPhone}
+            onChange={onChange}
+            placeholder="+1 555 000 0000"
+            className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+            style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+            onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+            onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}
+          />
+        </div>
+
+        {/* Order discount */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Order Discount <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+          </label>
+          <DiscountInput
+            size="md"
+            discountType={customer.discountType}
+            discountValue={customer.discountValue}
+            onChange={(name, value) => onChange({ target: { name, value } })}
+            invalid={!!fieldErrors.discountValue}
+            symbol={currencySymbol(saleCurrency || baseCurrency)}
+          />
+          {fieldErrors.discountValue && (
+            <p className="mt-1.5 text-xs flex items-center gap-1" style={{ color: '#dc2626' }}>
+              <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
+              {fieldErrors.discountValue}
+            </p>
+          )}
+        </div>
+
+        {/* Discount code */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Discount Code <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+          </label>
+          <input
+            name="discountCode"
+            value={customer.discountCode}
+            onChange={onChange}
+            placeholder="e.g. SPRING10"
+            className="w-full rounded-xl px-4 py-2.5 text-sm font-mono uppercase transition-all duration-150 focus:outline-none"
+            style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+            onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+            onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}
+          />
+        </div>
+
+        {/* Currency */}
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+            Currency
+          </label>
+          <select
+            name="currency"
+            value={saleCurrency}
+            onChange={onChange}
+            className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+            style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}>
+            <option value="">{baseCurrency} (store currency)</option>
+            {CURRENCIES.filter((c) => c.code !== baseCurrency).map((c) => (
+              <option key={c.code} value={c.code}>{c.code} — {c.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Exchange rate, captured with the sale */}
+        {saleCurrency && (
+          <div>
+            <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+              Exchange Rate <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(1 {saleCurrency} = ? {baseCurrency})</span>
+            </label>
+            <input
+              name="exchangeRate"
+              type="number" min="0" step="any"
+              value={customer.exchangeRate}
+              onChange={onChange}
+              placeholder="e.g. 1.08"
+              className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+              style={{
+                border: fieldErrors.exchangeRate ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                background: fieldErrors.exchangeRate ? '#fef2f2' : '#f8fafc',
+                color: '#1e293b',
+              }}
+              onFocus={e => { if (!fieldErrors.exchangeRate) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+              onBlur={e => { if (!fieldErrors.exchangeRate) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } }}
+            />
+            {fieldErrors.exchangeRate ? (
+              <p className="mt-1.5 text-xs flex items-center gap-1" style={{ color: '#dc2626' }}>
+                <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
+                {fieldErrors.exchangeRate}
+              </p>
+            ) : (
+              <p className="mt-1.5 text-xs" style={{ color: '#94a3b8' }}>
+                Prices and fixed discounts are converted at this rate, and again when it changes
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,289 @@
+import ProductCombobox from './ProductCombobox.jsx';
+import DiscountInput from './DiscountInput.jsx';
+import TaxBreakdown from './TaxBreakdown.jsx';
+import { useSettings } from '../context/SettingsContext.jsx';
+import { computeLineTotals } from '../utils/saleForm.js';
+
+/**
+ * SaleItemsEditor
+ *
+ * Line items table (product picker, quantity, unit price, discount, tax,
+ * line total) with the subtotal / discounts / tax by rate / total footer.
+ * Shared by the sale create and edit pages; the parent owns the items state.
+ *
+ * `products` only needs the products already on the lines (for their
+ * labels); the picker searches the rest. `onSelectProduct(index, product)`
+ * is called with the full product so the parent can fill in its price
+ * and tax. `taxClasses` ([{ name, rate }]) are the choices for a line's tax;
+ * "incl." marks a price that already contains the tax. `taxClassesError`
+ * is shown above the lines when the classes couldn't be loaded.
+ * Amounts are shown in `currency` (the sale's; defaults to the store's).
+ * `lineStock` (computeLineStock) shows each line's available stock and
+ * flags lines that are short or would leave the product below minStock.
+ */
+export default function SaleItemsEditor({
+  items,
+  products,
+  lineStock = [],
+  taxClasses = [],
+  taxClassesError,
+  currency,
+  fieldErrors,
+  totals,
+  onItemChange,
+  onSelectProduct,
+  onAddItem,
+  onRemoveItem,
+}) {
+  const { formatMoney, currencySymbol } = useSettings();
+  const itemErrors = fieldErrors.itemErrors || [];
+  const { subtotal, lineDiscountTotal, orderDiscountAmount, taxBreakdown, includedTaxAmount, totalAmount } = totals;
+
+  const handleTaxClassChange = (index, name) => {
+    const taxClass = taxClasses.find((c) => c.name === name);
+    onItemChange(index, 'taxClass', name);
+    onItemChange(index, 'taxRate', taxClass ? taxClass.rate : 0);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+      <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+        <div className="flex items-center gap-2">
+          <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+          </svg>
+          <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Line Items</h2>
+          <span className="text-xs px-2 py-0.5 rounded-full font-medium" style={{ background: 'rgba(59,92,212,0.1)', color: '#3B5CD4' }}>
+            {items.length} item{items.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <button
+          type="button"
+          onClick={onAddItem}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold text-white transition-all duration-150"
+          style={{ background: '#33B833', boxShadow: '0 2px 8px rgba(51,184,51,0.3)' }}
+          onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 12px rgba(51,184,51,0.45)'}
+          onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 8px rgba(51,184,51,0.3)'}>
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+          Add Item
+        </button>
+      </div>
+
+      {taxClassesError && (
+        <div className="mx-6 mt-4 rounded-lg px-4 py-2 text-xs flex items-center gap-2"
+          style={{ background: '#fffbeb', border: '1px solid #fde68a', color: '#b45309' }}>
+          <svg className="w-3.5 h-3.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+          </svg>
+          {taxClassesError}: new lines only get a rate stored on their product, check each line's tax before saving
+        </div>
+      )}
+
+      {fieldErrors.items && (
+        <div className="mx-6 mt-4 rounded-lg px-4 py-2 text-xs flex items-center gap-2"
+          style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+          <svg className="w-3.5 h-3.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+          </svg>
+          {fieldErrors.items}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+              <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+              <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Qty</th>
+              <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Unit Price</th>
+              <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Discount</th>
+              <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Tax</th>
+              <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total</th>
+              <th className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item, index) => {
+              const rowErrors = itemErrors[index] || {};
+              const stock = lineStock[index];
+              const line = computeLineTotals(item);
+
+              return (
+                <tr key={index} style={{ borderBottom: '1px solid #f1f5f9' }}
+                  onMouseEnter={e => e.currentTarget.style.background = '#fafbff'}
+                  onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
+
+                  {/* Product picker */}
+                  <td className="px-6 py-3">
+                    <ProductCombobox
+                      product={products.find((p) => p._id === item.productId) || null}
+                      productId={item.productId}
+                      invalid={!!rowErrors.productId}
+                      onSelect={(product) => onSelectProduct(index, product)}
+                    />
+                    {rowErrors.productId && (
+                      <p className="mt-1 text-xs" style={{ color: '#dc2626' }}>{rowErrors.productId}</p>
+                    )}
+                    {stock && (
+                      <p className="mt-1 text-xs"
+                        style={{ color: stock.insufficient ? '#dc2626' : stock.belowMin ? '#b45309' : '#94a3b8' }}>
+                        {stock.available} in stock
+                        {stock.requested !== (Number(item.quantity) || 0) && ` · ${stock.requested} on this sale`}
+                        {stock.insufficient
+                          ? ` · short by ${-stock.remaining}`
+                          : stock.belowMin && ` · leaves ${stock.remaining}, below min. ${stock.minStock}`}
+                      </p>
+                    )}
+                  </td>
+
+                  {/* Qty */}
+                  <td className="px-4 py-3">
+                    <input
+                      type="number" min="1"
+                      value={item.quantity}
+                      onChange={(e) => onItemChange(index, 'quantity', e.target.value)}
+                      className="w-20 rounded-lg px-3 py-2 text-sm text-right focus:outline-none transition-all duration-150 ml-auto block"
+                      style={{
+                        border: rowErrors.quantity ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                        background: rowErrors.quantity ? '#fef2f2' : '#f8fafc',
+                        color: '#1e293b',
+                      }}
+                      onFocus={e => { if (!rowErrors.quantity) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+                      onBlur={e => { if (!rowErrors.quantity) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } }}
+                    />
+                    {rowErrors.quantity && (
+                      <p className="mt-1 text-xs text-right" style={{ color: '#dc2626' }}>{rowErrors.quantity}</p>
+                    )}
+                  </td>
+
+                  {/* Unit price */}
+                  <td className="px-4 py-3">
+                    <input
+                      type="number" min="0" step="0.01"
+                      value={item.unitPrice}
+                      onChange={(e) => onItemChange(index, 'unitPrice', e.target.value)}
+                      className="w-24 rounded-lg px-3 py-2 text-sm text-right focus:outline-none transition-all duration-150 ml-auto block"
+                      style={{
+                        border: rowErrors.unitPrice ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                        background: rowErrors.unitPrice ? '#fef2f2' : '#f8fafc',
+                        color: '#1e293b',
+                      }}
+                      onFocus={e => { if (!rowErrors.unitPrice) { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; } }}
+                      onBlur={e => { if (!rowErrors.unitPrice) { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; } }}
+                    />
+                    {rowErrors.unitPrice && (
+                      <p className="mt-1 text-xs text-right" style={{ color: '#dc2626' }}>{rowErrors.unitPrice}</p>
+                    )}
+                  </td>
+
+                  {/* Discount */}
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end">
+                      <DiscountInput
+                        discountType={item.discountType}
+                        discountValue={item.discountValue}
+                        onChange={(field, value) => onItemChange(index, field, value)}
+                        invalid={!!rowErrors.discountValue}
+                        symbol={currencySymbol(currency)}
+                      />
+                    </div>
+                    {rowErrors.discountValue && (
+                      <p className="mt-1 text-xs text-right" style={{ color: '#dc2626' }}>{rowErrors.discountValue}</p>
+                    )}
+                  </td>
+
+                  {/* Tax class + inclusive toggle */}
+                  <td className="px-4 py-3">
+                    <div className="flex items-stretch justify-end">
+                      <select
+                        value={item.taxClass}
+                        onChange={(e) => handleTaxClassChange(index, e.target.value)}
+                        className="rounded-l-lg px-2 py-2 text-sm focus:outline-none"
+                        style={{ border: '1px solid #e2e8f0', borderRight: 'none', background: '#f8fafc', color: '#1e293b' }}>
+                        <option value="">
+                          {Number(item.taxRate) > 0 ? `${Number(item.taxRate)}%` : 'No tax'}
+                        </option>
+                        {taxClasses.map((taxClass) => (
+                          <option key={taxClass.name} value={taxClass.name}>
+                            {taxClass.name} {taxClass.rate}%
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => onItemChange(index, 'taxInclusive', !item.taxInclusive)}
+                        className="px-2 rounded-r-lg text-xs font-semibold transition-all duration-150"
+                        style={item.taxInclusive
+                          ? { background: '#3B5CD4', color: '#fff', border: '1px solid #3B5CD4' }
+                          : { background: '#fff', color: '#64748b', border: '1px solid #e2e8f0' }}
+                        title={item.taxInclusive ? 'Unit price includes tax' : 'Tax is added to the unit price'}>
+                        incl.
+                      </button>
+                    </div>
+                  </td>
+
+                  {/* Line total */}
+                  <td className="px-4 py-3 text-right text-sm font-semibold" style={{ color: '#1e293b' }}>
+                    {formatMoney(line.net, currency)}
+                    {line.discount > 0 && (
+                      <span className="block text-xs font-normal line-through" style={{ color: '#94a3b8' }}>
+                        {formatMoney(line.gross, currency)}
+                      </span>
+                    )}
+                  </td>
+
+                  {/* Remove */}
+                  <td className="px-4 py-3 text-center">
+                    {items.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => onRemoveItem(index)}
+                        className="w-7 h-7 rounded-lg flex items-center justify-center mx-auto transition-all duration-150"
+                        style={{ background: 'rgba(239,68,68,0.08)', color: '#ef4444' }}
+                        onMouseEnter={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.18)'; }}
+                        onMouseLeave={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.08)'; }}
+                        title="Remove item">
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Summary footer */}
+      <div className="px-6 py-4 border-t flex justify-end" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+        <div className="text-sm space-y-1.5 min-w-48">
+          <div className="flex justify-between gap-8" style={{ color: '#64748b' }}>
+            <span>Subtotal</span>
+            <span className="font-medium" style={{ color: '#1e293b' }}>{formatMoney(subtotal, currency)}</span>
+          </div>
+          {lineDiscountTotal > 0 && (
+            <div className="flex justify-between gap-8" style={{ color: '#64748b' }}>
+              <span>Line discounts</span>
+              <span className="font-medium" style={{ color: '#16a34a' }}>−{formatMoney(lineDiscountTotal, currency)}</span>
+            </div>
+          )}
+          {orderDiscountAmount > 0 && (
+            <div className="flex justify-between gap-8" style={{ color: '#64748b' }}>
+              <span>Order discount</span>
+              <span className="font-medium" style={{ color: '#16a34a' }}>−{formatMoney(orderDiscountAmount, currency)}</span>
+            </div>
+          )}
+          <TaxBreakdown breakdown={taxBreakdown} includedTaxAmount={includedTaxAmount} currency={currency} />
+          <div className="flex justify-between gap-8 pt-2 border-t" style={{ borderColor: '#e2e8f0' }}>
+            <span className="font-semibold" style={{ color: '#1e293b' }}>Total</span>
+            <span className="text-base font-bold" style={{ color: '#3B5CD4' }}>{formatMoney(totalAmount, currency)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { Link, useLocation } from "react-router-dom";
+import { hasRole, ROLES } from "../context/roles";
 
 // ── Styles ────────────────────────────────────────────────────────────────────
 const navLinkClass =
@@ -72,6 +73,7 @@ function NavItem({ to, icon, label, active }) {
 function Sidebar({ user, logout }) {
   const { pathname } = useLocation();
   const isActive = (path) => pathname === path;
+  const isAdmin = hasRole(user, [ROLES.ADMIN]);
 
   return (
     <aside
@@ -143,11 +145,19 @@ function Sidebar({ user, logout }) {
           icon="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
         />
         <NavItem
-          to="/invoices"
-          label="Invoices"
-          active={isActive("/invoices")}
-          icon="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+          to="/customers"
+          label="Customers"
+          active={isActive("/customers")}
+          icon="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
         />
+        {isAdmin && (
+          <NavItem
+            to="/invoices"
+            label="Invoices"
+            active={isActive("/invoices")}
+            icon="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+          />
+        )}
 
         <p
           className="px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-widest"
@@ -156,12 +166,14 @@ function Sidebar({ user, logout }) {
           Inventory
         </p>
 
-        <NavItem
-          to="/reports"
-          label="Reports"
-          active={isActive("/reports")}
-          icon="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
-        />
+        {isAdmin && (
+          <NavItem
+            to="/reports"
+            label="Reports"
+            active={isActive("/reports")}
+            icon="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
+          />
+        )}
 
         <NavItem
           to="/products/new"
@@ -175,6 +187,49 @@ function Sidebar({ user, logout }) {
           active={isActive("/products")}
           icon="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4"
         />
+        <NavItem
+          to="/products/low-stock"
+          label="Low Stock"
+          active={isActive("/products/low-stock")}
+          icon="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"
+        />
+        <NavItem
+          to="/purchase-orders"
+          label="Purchase Orders"
+          active={isActive("/purchase-orders")}
+          icon="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
+        />
+        <NavItem
+          to="/suppliers"
+          label="Suppliers"
+          active={isActive("/suppliers")}
+          icon="M13 16V6a1 1 0 00-1-1H4a1 1 0 00-1 1v10a1 1 0 001 1h1m8-1a1 1 0 01-1 1H9m4-1V8a1 1 0 011-1h2.586a1 1 0 01.707.293l3.414 3.414a1 1 0 01.293.707V16a1 1 0 01-1 1h-1m-6-1a1 1 0 001 1h1M5 17a2 2 0 104 0m-4 0a2 2 0 114 0m6 0a2 2 0 104 0m-4 0a2 2 0 114 0"
+        />
+        {isAdmin && (
+          <NavItem
+            to="/categories"
+            label="Categories"
+            active={isActive("/categories")}
+            icon="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+          />
+        )}
+
+        {isAdmin && (
+          <>
+            <p
+              className="px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-widest"
+              style={{ color: "#4a6d9c" }}
+            >
+              Store
+            </p>
+            <NavItem
+              to="/settings"
+              label="Settings"
+              active={isActive("/settings")}
+              icon="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065zM15 12a3 3 0 11-6 0 3 3 0 016 0z"
+            />
+          </>
+        )}
       </nav>
 
       {/* ── User + logout ─────────────────────────────────────────────────── */}
@@ -189,9 +244,16 @@ function Sidebar({ user, logout }) {
           >
             {user?.email?.[0]?.toUpperCase() ?? "U"}
           </div>
-          <p className="text-xs truncate" style={{ color: "#a8c8e8" }}>
-            {user?.email}
-          </p>
+          <div className="min-w-0">
+            <p className="text-xs truncate" style={{ color: "#a8c8e8" }}>
+              {user?.email}
+            </p>
+            {user?.role && (
+              <p className="text-xs capitalize" style={{ color: "#4a6d9c" }}>
+                {user.role}
+              </p>
+            )}
+          </div>
         </div>
         <button
           onClick={logout}
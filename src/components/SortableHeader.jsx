@@ -0,0 +1,46 @@
+// full class names so Tailwind picks them up
+const ALIGN_CLASSES = {
+  left: { text: "text-left", justify: "justify-start" },
+  right: { text: "text-right", justify: "justify-end" },
+  center: { text: "text-center", justify: "justify-center" },
+};
+
+/**
+ * SortableHeader
+ *
+ * Table header cell that sorts the list by `field` when clicked.
+ * Shows ▲ / ▼ on the active column and a faint ↕ on the others.
+ */
+export default function SortableHeader({
+  label,
+  field,
+  sort,
+  order,
+  onSort,
+  align = "left",
+  className = "px-4 py-3",
+}) {
+  const active = sort === field;
+  const alignClasses = ALIGN_CLASSES[align] || ALIGN_CLASSES.left;
+
+  return (
+    <th
+      className={`${className} ${alignClasses.text} text-xs font-semibold uppercase tracking-widest`}
+      style={{ color: active ? "#3B5CD4" : "#94a3b8" }}
+      aria-sort={active ? (order === "asc" ? "ascending" : "descending") : "none"}
+    >
+      <button
+        type="button"
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center gap-1 w-full ${alignClasses.justify} uppercase tracking-widest font-semibold`}
+        style={{ color: "inherit" }}
+        title={`Sort by ${label}`}
+      >
+        {label}
+        <span style={{ opacity: active ? 1 : 0.4 }}>
+          {active ? (order === "asc" ? "▲" : "▼") : "↕"}
+        </span>
+      </button>
+    </th>
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * StatusBadge
+ *
+ * Coloured pill for a sale / invoice status.
+ * `styles` is one of the maps in utils/statusStyles, `fallback` the key
+ * used when the status isn't in it.
+ */
+export default function StatusBadge({ status, styles, fallback }) {
+  const s = styles[status] || styles[fallback];
+  const label = status ? status.charAt(0).toUpperCase() + status.slice(1) : "—";
+  return (
+    <span
+      className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold"
+      style={{ background: s.bg, color: s.color }}
+    >
+      <span className="w-1.5 h-1.5 rounded-full" style={{ background: s.dot }} />
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,231 @@
+import { useState } from "react";
+import { productApi } from "../api/productApi.js";
+import {
+  ADJUSTMENT_TYPES,
+  EMPTY_ADJUSTMENT,
+  adjustedStock,
+  validateAdjustment,
+} from "../utils/stockAdjustment.js";
+
+const inputStyle = (hasError) => ({
+  border: hasError ? "1px solid #fca5a5" : "1px solid #e2e8f0",
+  background: hasError ? "#fef2f2" : "#f8fafc",
+  color: "#1e293b",
+});
+
+/**
+ * StockAdjustmentForm
+ *
+ * "Adjust stock" card: receive, damage, return or count correction,
+ * with a reason code and a note. Shows the resulting stock before
+ * saving and calls onAdjusted() once the backend accepted it.
+ */
+export default function StockAdjustmentForm({ product, onAdjusted }) {
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const type = ADJUSTMENT_TYPES[adjustment.type];
+  const hasQuantity = String(adjustment.quantity).trim() !== "";
+  const newStock = adjustedStock(product.stock, adjustment);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAdjustment((prev) => ({
+      ...prev,
+      [name]: value,
+      // reason codes differ per type
+      ...(name === "type" ? { reason: "" } : {}),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    const errors = validateAdjustment(adjustment, product.stock);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    try {
+      await productApi.adjustStock(product._id, {
+        type: adjustment.type,
+        quantity: Number(adjustment.quantity),
+        reason: adjustment.reason,
+        note: adjustment.note.trim(),
+      });
+      setAdjustment(EMPTY_ADJUSTMENT);
+      onAdjusted();
+    } catch (err) {
+      console.error("Error adjusting stock:", err);
+      setError(err.response?.data?.message || "Failed to adjust stock");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white rounded-2xl shadow-sm overflow-hidden"
+      style={{ border: "1px solid #e2e8f0" }}
+    >
+      <div
+        className="px-6 py-4 border-b flex items-center justify-between"
+        style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+      >
+        <h2 className="text-sm font-semibold" style={{ color: "#1e293b" }}>
+          Adjust Stock
+        </h2>
+        <span className="text-xs" style={{ color: "#64748b" }}>
+          Current stock: <strong style={{ color: "#1e293b" }}>{product.stock}</strong>
+        </span>
+      </div>
+
+      <div className="p-6 space-y-5">
+        {error && (
+          <div
+            className="rounded-xl px-4 py-3 text-sm"
+            style={{ background: "#fef2f2", border: "1px solid #fecaca", color: "#dc2626" }}
+          >
+            {error}
+          </div>
+        )}
+
+        {/* Type */}
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(ADJUSTMENT_TYPES).map(([key, option]) => (
+            <label
+              key={key}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer transition-all duration-150"
+              style={
+                adjustment.type === key
+                  ? { background: "#3B5CD4", color: "#fff", border: "1px solid #3B5CD4" }
+                  : { background: "#f8fafc", color: "#475569", border: "1px solid #e2e8f0" }
+              }
+            >
+              <input
+                type="radio"
+                name="type"
+                value={key}
+                checked={adjustment.type === key}
+                onChange={handleChange}
+                className="sr-only"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="grid gap-5 md:grid-cols-2">
+          {/* Quantity */}
+          <div>
+            <label
+              className="block text-xs font-semibold uppercase tracking-widest mb-2"
+              style={{ color: "#94a3b8" }}
+            >
+              {adjustment.type === "count" ? "Counted stock" : "Quantity"}
+            </label>
+            <input
+              name="quantity"
+              type="number"
+              min="0"
+              value={adjustment.quantity}
+              onChange={handleChange}
+              placeholder="0"
+              className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none"
+              style={inputStyle(fieldErrors.quantity)}
+            />
+            {fieldErrors.quantity && (
+              <p className="mt-1.5 text-xs" style={{ color: "#dc2626" }}>
+                {fieldErrors.quantity}
+              </p>
+            )}
+          </div>
+
+          {/* Reason */}
+          <div>
+            <label
+              className="block text-xs font-semibold uppercase tracking-widest mb-2"
+              style={{ color: "#94a3b8" }}
+            >
+              Reason
+            </label>
+            <select
+              name="reason"
+              value={adjustment.reason}
+              onChange={handleChange}
+              className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none"
+              style={inputStyle(fieldErrors.reason)}
+            >
+              <option value="">Select reason</option>
+              {type.reasons.map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+            {fieldErrors.reason && (
+              <p className="mt-1.5 text-xs" style={{ color: "#dc2626" }}>
+                {fieldErrors.reason}
+              </p>
+            )}
+          </div>
+
+          {/* Note */}
+          <div className="md:col-span-2">
+            <label
+              className="block text-xs font-semibold uppercase tracking-widest mb-2"
+              style={{ color: "#94a3b8" }}
+            >
+              Note{" "}
+              <span style={{ color: "#cbd5e1", fontWeight: 400 }}>
+                (optional)
+              </span>
+            </label>
+            <textarea
+              name="note"
+              rows={2}
+              value={adjustment.note}
+              onChange={handleChange}
+              placeholder="e.g. delivery note #4512, box crushed in transit…"
+              className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none resize-none"
+              style={inputStyle(fieldErrors.note)}
+            />
+            {fieldErrors.note && (
+              <p className="mt-1.5 text-xs" style={{ color: "#dc2626" }}>
+                {fieldErrors.note}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-sm" style={{ color: "#64748b" }}>
+            {hasQuantity && (
+              <>
+                Stock {product.stock} →{" "}
+                <strong style={{ color: newStock < 0 ? "#dc2626" : "#1e293b" }}>
+                  {newStock}
+                </strong>
+              </>
+            )}
+          </span>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-5 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+            style={{
+              background: saving ? "#93a8e8" : "linear-gradient(135deg, #3B5CD4, #3A96D4)",
+              boxShadow: saving ? "none" : "0 2px 12px rgba(59,92,212,0.3)",
+            }}
+          >
+            {saving ? "Saving…" : "Apply Adjustment"}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,45 @@
+import { useSettings } from '../context/SettingsContext.jsx';
+
+/**
+ * TaxBreakdown
+ *
+ * Tax rows for a totals footer: one row per rate (from computeSaleTotals
+ * or the backend's `taxBreakdown`), plus how much of it is already
+ * included in tax-inclusive prices. `currency` is the sale's currency
+ * (defaults to the store's).
+ */
+export default function TaxBreakdown({ breakdown = [], includedTaxAmount = 0, currency }) {
+  const { formatMoney } = useSettings();
+
+  if (breakdown.length === 0) {
+    return (
+      <div className="flex justify-between gap-8" style={{ color: '#64748b' }}>
+        <span>Tax</span>
+        <span className="font-medium" style={{ color: '#1e293b' }}>{formatMoney(0, currency)}</span>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {breakdown.map((entry) => (
+        <div key={entry.rate} className="flex justify-between gap-8" style={{ color: '#64748b' }}>
+          <span>
+            Tax {Number(entry.rate)}%
+            {entry.taxClasses?.length > 0 && ` (${entry.taxClasses.join(', ')})`}
+            <span className="block text-xs" style={{ color: '#94a3b8' }}>
+              on {formatMoney(entry.netAmount, currency)}
+            </span>
+          </span>
+          <span className="font-medium" style={{ color: '#1e293b' }}>{formatMoney(entry.taxAmount, currency)}</span>
+        </div>
+      ))}
+      {includedTaxAmount > 0 && (
+        <div className="flex justify-between gap-8 text-xs" style={{ color: '#94a3b8' }}>
+          <span>Included in prices</span>
+          <span>{formatMoney(includedTaxAmount, currency)}</span>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,197 @@
+import { useEffect, useState } from "react";
+import { reportsApi } from "../api/reportsApi";
+import ExportCsvButton from "./ExportCsvButton.jsx";
+import { csvFilename, downloadCsv } from "../utils/csv.js";
+import { useSettings } from "../context/SettingsContext.jsx";
+
+// YYYY-MM-DD in local time, as used by <input type="date">
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+const CSV_COLUMNS = [
+  { header: "Rate %", value: (row) => row.rate },
+  { header: "Tax classes", value: (row) => row.taxClasses.join(" / ") },
+  { header: "Net amount", value: (row) => row.netAmount.toFixed(2) },
+  { header: "Tax", value: (row) => row.taxAmount.toFixed(2) },
+  { header: "Sales", value: (row) => row.salesCount },
+];
+
+const dateInputStyle = {
+  border: "1px solid #e2e8f0",
+  background: "#f8fafc",
+  color: "#475569",
+};
+
+/**
+ * TaxSummaryReport
+ *
+ * Tax collected per rate for a chosen period (defaults to this month),
+ * from GET /api/sales/tax-summary: net amount, tax and number of sales
+ * per rate, with totals and a CSV export for filing. Amounts are in the
+ * store currency.
+ */
+export default function TaxSummaryReport() {
+  const { currency, formatMoney } = useSettings();
+  const today = new Date();
+  const [from, setFrom] = useState(
+    toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)),
+  );
+  const [to, setTo] = useState(toDateInput(today));
+
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const invalidRange = from && to && from > to;
+
+  useEffect(() => {
+    if (!from || !to || invalidRange) return;
+    const fetchSummary = async () => {
+      try {
+        setError("");
+        setLoading(true);
+        const res = await reportsApi.getTaxSummary(from, to, currency);
+        // { summary: [{ rate, taxClasses, netAmount, taxAmount, salesCount }] }
+        setRows(res.data.summary);
+      } catch (err) {
+        console.error("Error loading tax summary:", err);
+        setError(err.response?.data?.message || "Failed to load tax summary.");
+        setRows([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSummary();
+  }, [from, to, invalidRange, currency]);
+
+  const totalNet = rows.reduce((sum, row) => sum + row.netAmount, 0);
+  const totalTax = rows.reduce((sum, row) => sum + row.taxAmount, 0);
+
+  const handleExportCsv = () => {
+    downloadCsv(csvFilename(`tax-summary-${from}-to-${to}`), CSV_COLUMNS, rows);
+  };
+
+  return (
+    <div
+      className="bg-white rounded-2xl shadow-sm overflow-hidden mb-6"
+      style={{ border: "1px solid #e2e8f0" }}
+    >
+      <div className="px-6 pt-6 pb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-base font-semibold" style={{ color: "#1e293b" }}>
+            Tax Summary
+          </h2>
+          <p className="text-xs mt-1" style={{ color: "#94a3b8" }}>
+            Tax collected per rate for the chosen period, in {currency}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+            className="rounded-xl px-3 py-2 text-sm focus:outline-none"
+            style={dateInputStyle}
+          />
+          <span className="text-xs" style={{ color: "#94a3b8" }}>
+            to
+          </span>
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+            className="rounded-xl px-3 py-2 text-sm focus:outline-none"
+            style={dateInputStyle}
+          />
+          {rows.length > 0 && (
+            <ExportCsvButton onClick={handleExportCsv} exporting={false} />
+          )}
+        </div>
+      </div>
+
+      {invalidRange || error ? (
+        <p className="px-6 pb-6 text-sm" style={{ color: "#dc2626" }}>
+          {invalidRange ? "The start date must be before the end date." : error}
+        </p>
+      ) : loading ? (
+        <p className="px-6 pb-6 text-sm" style={{ color: "#64748b" }}>
+          Loading tax summary…
+        </p>
+      ) : rows.length === 0 ? (
+        <div className="py-12 text-center text-sm" style={{ color: "#94a3b8" }}>
+          No taxed sales in this period
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr style={{ background: "#f8fafc", borderBottom: "1px solid #e2e8f0" }}>
+              <th
+                className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest"
+                style={{ color: "#94a3b8" }}
+              >
+                Rate
+              </th>
+              <th
+                className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                style={{ color: "#94a3b8" }}
+              >
+                Net Amount
+              </th>
+              <th
+                className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                style={{ color: "#94a3b8" }}
+              >
+                Tax
+              </th>
+              <th
+                className="px-6 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                style={{ color: "#94a3b8" }}
+              >
+                Sales
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.rate} style={{ borderBottom: "1px solid #f1f5f9" }}>
+                <td className="px-6 py-3 font-semibold" style={{ color: "#1e293b" }}>
+                  {row.rate}%
+                  {row.taxClasses.length > 0 && (
+                    <span className="ml-2 text-xs font-normal" style={{ color: "#94a3b8" }}>
+                      {row.taxClasses.join(", ")}
+                    </span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right" style={{ color: "#475569" }}>
+                  {formatMoney(row.netAmount)}
+                </td>
+                <td className="px-4 py-3 text-right font-semibold" style={{ color: "#1e293b" }}>
+                  {formatMoney(row.taxAmount)}
+                </td>
+                <td className="px-6 py-3 text-right" style={{ color: "#475569" }}>
+                  {Number(row.salesCount).toLocaleString()}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr style={{ background: "#fafbff" }}>
+              <td className="px-6 py-3 font-semibold" style={{ color: "#1e293b" }}>
+                Total
+              </td>
+              <td className="px-4 py-3 text-right font-semibold" style={{ color: "#1e293b" }}>
+                {formatMoney(totalNet)}
+              </td>
+              <td className="px-4 py-3 text-right font-bold" style={{ color: "#3B5CD4" }}>
+                {formatMoney(totalTax)}
+              </td>
+              <td className="px-6 py-3" />
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { setAuthFailureHandler } from '../api/axiosClient';
 
 const AuthContext = createContext(null);
 
@@ -13,20 +14,16 @@ function getInitialUser() {
     return JSON.parse(userRaw);
   } catch {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     return null;
   }
 }
 
 export function AuthProvider({ children }) {
-  // Initialize from localStorage synchronously (no effect needed)
+  // Initialize from localStorage synchronously, so auth state is known on first render
   const [user, setUser] = useState(getInitialUser);
-  const [loading, setLoading] = useState(true);
-
-  // After first render, just mark loading as false
-  useEffect(() => {
-    setLoading(false);
-  }, []);
+  const [sessionExpired, setSessionExpired] = useState(false);
 
   const login = ({ token, refreshToken, user }) => {
     localStorage.setItem('token', token);
@@ -34,21 +31,33 @@ export function AuthProvider({ children }) {
       localStorage.setItem('refreshToken', refreshToken);
     }
     localStorage.setItem('user', JSON.stringify(user));
+    setSessionExpired(false);
     setUser(user);
   };
 
-  const logout = () => {
+  const logout = useCallback(() => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
-  };
+  }, []);
+
+  // axiosClient calls this when a token refresh fails
+  useEffect(() => {
+    setAuthFailureHandler(() => {
+      setSessionExpired(true);
+      logout();
+    });
+    return () => setAuthFailureHandler(null);
+  }, [logout]);
 
-  const value = { user, loading, login, logout };
+  const value = { user, sessionExpired, login, logout };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
 
 //7. convenience hook to use AuthContext
+// eslint-disable-next-line react-refresh/only-export-components
 export function useAuth() {
     return useContext(AuthContext);
-}
\ No newline at end of file
+}
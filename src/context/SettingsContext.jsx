@@ -0,0 +1,61 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { settingsApi } from '../api/settingsApi.js';
+import { useAuth } from './AuthContext.jsx';
+import {
+  DEFAULT_CURRENCY,
+  currencySymbol,
+  formatMoney,
+} from '../utils/money.js';
+
+const SettingsContext = createContext(null);
+
+/**
+ * Store settings (currency, locale), loaded once the user is signed in.
+ * Until then, or when they can't be loaded, amounts use DEFAULT_CURRENCY
+ * and the browser's locale.
+ */
+export function SettingsProvider({ children }) {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState({ currency: DEFAULT_CURRENCY, locale: '' });
+
+  useEffect(() => {
+    if (!user) return;
+    const fetchSettings = async () => {
+      try {
+        const res = await settingsApi.getSettings();
+        setSettings((prev) => ({ ...prev, ...(res.data.data || {}) }));
+      } catch (err) {
+        console.error('Error loading store settings:', err);
+      }
+    };
+    fetchSettings();
+  }, [user]);
+
+  // throws like the api call; the settings page shows the error
+  const updateSettings = useCallback(async (data) => {
+    const res = await settingsApi.updateSettings(data);
+    setSettings((prev) => ({ ...prev, ...(res.data.data || data) }));
+  }, []);
+
+  const currency = settings.currency || DEFAULT_CURRENCY;
+  const locale = settings.locale || undefined;
+
+  const value = {
+    settings,
+    currency,
+    locale,
+    updateSettings,
+    // amounts default to the store currency; pass a sale's own currency
+    formatMoney: (amount, amountCurrency) =>
+      formatMoney(amount, amountCurrency || currency, locale),
+    currencySymbol: (amountCurrency) =>
+      currencySymbol(amountCurrency || currency, locale),
+  };
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+}
+
+// eslint-disable-next-line react-refresh/only-export-components
+export function useSettings() {
+  return useContext(SettingsContext);
+}
@@ -0,0 +1,16 @@
+/**
+ * roles
+ *
+ * Role names used by the backend (see RegisterPage) and a small helper
+ * to check a user against a list of allowed roles.
+ */
+export const ROLES = {
+    ADMIN: 'admin',
+    EMPLOYEE: 'employee',
+};
+
+// true when no roles are required or the user has one of them
+export function hasRole(user, allowedRoles) {
+    if (!allowedRoles || allowedRoles.length === 0) return true;
+    return Boolean(user?.role) && allowedRoles.includes(user.role);
+}
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from "react";
+import { categoryApi } from "../api/categoryApi.js";
+import { PRODUCT_CATEGORIES } from "../utils/productSchema.js";
+
+/**
+ * useCategories
+ *
+ * Loads the store's product categories for dropdowns and the
+ * categories screen.
+ *
+ * - categories: [{ _id, name, productCount }]
+ * - names: category names, falling back to the built-in list when the
+ *   categories can't be loaded so product forms stay usable
+ * - reload(): fetch again after a change
+ */
+export default function useCategories() {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const reload = useCallback(async () => {
+    try {
+      setError("");
+      setLoading(true);
+      const res = await categoryApi.getCategories();
+      setCategories(res.data.data || []);
+    } catch (err) {
+      console.error("Error fetching categories:", err);
+      setError(err.response?.data?.message || "Failed to load categories");
+      setCategories([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const names = error
+    ? PRODUCT_CATEGORIES
+    : categories.map((category) => category.name);
+
+  return { categories, names, loading, error, reload };
+}
@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * useCombobox
+ *
+ * Keyboard and list handling shared by the search pickers (ProductCombobox,
+ * CustomerAutocomplete). The picker owns `open` (its search depends on it)
+ * and renders the input and list; this hook positions the list, moves the
+ * highlight and picks.
+ *
+ * - inputRef / listRef: attach to the input and the list
+ * - position: { top, left, width } of the list against the viewport
+ * - active: index of the highlighted result
+ * - openList() / close(): show or hide the list; close() also calls `onClose`
+ * - pick(result): calls `onPick(result)` and closes
+ * - handleInput(): call on every keystroke; reopens a list closed with Escape
+ * - handleKeyDown: ArrowUp / ArrowDown move, Enter picks, Escape closes
+ */
+export default function useCombobox({ open, setOpen, results, onPick, onClose, minWidth = 320 }) {
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [position, setPosition] = useState(null);
+
+  const active = Math.min(highlighted, results.length - 1);
+
+  // pickers sit in cards and tables that clip or scroll, so the list is
+  // positioned against the viewport and closed when anything scrolls
+  useEffect(() => {
+    if (!open) return undefined;
+    const closeOnScroll = (e) => {
+      if (e.type === "scroll" && listRef.current?.contains(e.target)) return;
+      setOpen(false);
+    };
+    window.addEventListener("scroll", closeOnScroll, true);
+    window.addEventListener("resize", closeOnScroll);
+    return () => {
+      window.removeEventListener("scroll", closeOnScroll, true);
+      window.removeEventListener("resize", closeOnScroll);
+    };
+  }, [open, setOpen]);
+
+  const openList = () => {
+    const rect = inputRef.current.getBoundingClientRect();
+    setPosition({ top: rect.bottom + 4, left: rect.left, width: Math.max(rect.width, minWidth) });
+    setOpen(true);
+  };
+
+  const close = () => {
+    setOpen(false);
+    onClose?.();
+  };
+
+  const pick = (result) => {
+    onPick(result);
+    close();
+  };
+
+  // Escape closes the list but leaves focus in the input, so the next
+  // keystroke has to open it again
+  const handleInput = () => {
+    setHighlighted(0);
+    if (!open) openList();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      if (!open) openList();
+      setHighlighted(Math.max(Math.min(active + 1, results.length - 1), 0));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted(Math.max(active - 1, 0));
+    } else if (e.key === "Enter" && open && results[active]) {
+      e.preventDefault();
+      pick(results[active]);
+    } else if (e.key === "Escape") {
+      close();
+    }
+  };
+
+  return { inputRef, listRef, position, active, setHighlighted, openList, close, pick, handleInput, handleKeyDown };
+}
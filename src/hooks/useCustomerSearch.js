@@ -0,0 +1,23 @@
+import { useCallback } from "react";
+import { customerApi } from "../api/customerApi.js";
+import useDebouncedSearch from "./useDebouncedSearch.js";
+
+/**
+ * useCustomerSearch
+ *
+ * Debounced customer search by name / email / phone for pickers.
+ * Returns { results, loading, error } (see useDebouncedSearch).
+ */
+export default function useCustomerSearch(query, { limit = 8 } = {}) {
+  const search = useCallback(
+    async (term) => {
+      const res = await customerApi.getCustomers({ search: term, limit });
+      return res.data.data || [];
+    },
+    [limit],
+  );
+
+  return useDebouncedSearch(query, search, {
+    errorMessage: "Failed to search customers",
+  });
+}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useDebouncedSearch
+ *
+ * Runs `search(term)` (a promise of results) a short while after `query`
+ * stops changing; pickers build on it (useProductSearch, useCustomerSearch).
+ * `search` must keep its identity between renders (module level or useCallback).
+ *
+ * - results: results for the latest finished term (empty for an empty query)
+ * - loading: a search for the current query is in flight or pending
+ * - error: message of the last failed search
+ */
+export default function useDebouncedSearch(
+  query,
+  search,
+  { delay = 250, errorMessage = "Search failed" } = {},
+) {
+  const term = query.trim();
+  const [state, setState] = useState({ term: "", results: [], error: "" });
+
+  useEffect(() => {
+    if (!term) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await search(term);
+        if (!cancelled) setState({ term, results, error: "" });
+      } catch (err) {
+        console.error("Error searching:", err);
+        if (!cancelled) {
+          setState({
+            term,
+            results: [],
+            error: err.response?.data?.message || errorMessage,
+          });
+        }
+      }
+    }, delay);
+
+    // a newer keystroke replaces this search
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [term, search, delay, errorMessage]);
+
+  if (!term) return { results: [], loading: false, error: "" };
+  // keep showing the previous results while the new ones load
+  return { results: state.results, loading: state.term !== term, error: state.error };
+}
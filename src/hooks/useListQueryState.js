@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * useListQueryState
+ *
+ * Binds a list page's state (page, search, filters, sort) to the URL
+ * query string, so refresh / Back keep the view and links can be shared.
+ *
+ * - values: current query values, with `defaults` filled in
+ * - setValues(changes): write changes to the URL; empty or default values
+ *   are removed, and any change other than `page` goes back to page 1
+ * - page / setPage, sort / order / toggleSort(field)
+ * - draft / setDraftValue / applyDraft: local copy of text-like inputs
+ *   (search box, date ranges…) applied on submit instead of on every key
+ */
+export default function useListQueryState(defaults = {}, draftKeys = []) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryKey = searchParams.toString();
+
+  const values = { ...defaults, ...Object.fromEntries(searchParams) };
+  const page = Number(values.page) || 1;
+
+  const readDraft = () =>
+    Object.fromEntries(draftKeys.map((key) => [key, values[key] || ""]));
+
+  const [draft, setDraft] = useState(readDraft);
+  const [syncedKey, setSyncedKey] = useState(queryKey);
+
+  // URL changed from outside the form (Back button, shared link): resync draft
+  if (syncedKey !== queryKey) {
+    setSyncedKey(queryKey);
+    setDraft(readDraft());
+  }
+
+  const setValues = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      const isEmpty = value === "" || value === null || value === undefined;
+      if (isEmpty || String(value) === String(defaults[key] ?? "")) {
+        next.delete(key);
+      } else {
+        next.set(key, String(value));
+      }
+    });
+    if (!("page" in changes)) next.delete("page");
+    setSearchParams(next);
+  };
+
+  const setPage = (newPage) => setValues({ page: newPage > 1 ? newPage : "" });
+
+  // clicking the active column flips direction, a new column starts ascending
+  const toggleSort = (field) => {
+    const order =
+      values.sort === field && values.order === "asc" ? "desc" : "asc";
+    setValues({ sort: field, order });
+  };
+
+  const setDraftValue = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const applyDraft = () => {
+    const trimmed = Object.fromEntries(
+      Object.entries(draft).map(([key, value]) => [key, String(value).trim()]),
+    );
+    setValues(trimmed);
+  };
+
+  // true when any of `keys` differs from its default
+  const hasActive = (keys) =>
+    keys.some((key) => searchParams.has(key) && searchParams.get(key) !== "");
+
+  const clearValues = () => setSearchParams(new URLSearchParams());
+
+  return {
+    values,
+    queryKey,
+    page,
+    sort: values.sort || "",
+    order: values.order || "asc",
+    setValues,
+    setPage,
+    toggleSort,
+    draft,
+    setDraftValue,
+    applyDraft,
+    hasActive,
+    clearValues,
+  };
+}
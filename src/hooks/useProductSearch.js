@@ -0,0 +1,23 @@
+import { useCallback } from "react";
+import { productApi } from "../api/productApi.js";
+import useDebouncedSearch from "./useDebouncedSearch.js";
+
+/**
+ * useProductSearch
+ *
+ * Debounced product search by name / SKU for pickers.
+ * Returns { results, loading, error } (see useDebouncedSearch).
+ */
+export default function useProductSearch(query, { limit = 10 } = {}) {
+  const search = useCallback(
+    async (term) => {
+      const res = await productApi.getProducts({ search: term, limit });
+      return res.data.data || [];
+    },
+    [limit],
+  );
+
+  return useDebouncedSearch(query, search, {
+    errorMessage: "Failed to search products",
+  });
+}
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from "react";
+import { supplierApi } from "../api/supplierApi.js";
+
+/**
+ * useSuppliers
+ *
+ * Loads the supplier directory for pickers and filters.
+ *
+ * - suppliers: [{ _id, name, productCount, stockValue, ... }]
+ * - options: [{ value, label }] ready for a <select>
+ * - reload(): fetch again after a change
+ */
+export default function useSuppliers() {
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const reload = useCallback(async () => {
+    try {
+      setError("");
+      setLoading(true);
+      const res = await supplierApi.getSuppliers();
+      setSuppliers(res.data.data || []);
+    } catch (err) {
+      console.error("Error fetching suppliers:", err);
+      setError(err.response?.data?.message || "Failed to load suppliers");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const options = suppliers.map((supplier) => ({
+    value: supplier._id,
+    label: supplier.name,
+  }));
+
+  return { suppliers, options, loading, error, reload };
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { taxClassApi } from "../api/taxClassApi.js";
+
+/**
+ * useTaxClasses
+ *
+ * Loads the store's tax classes for product forms and sale lines.
+ *
+ * - taxClasses: [{ name, rate }]; empty when they can't be loaded, there
+ *   is no made-up fallback since its rates would end up on sales
+ * - names: class names for the product form's select
+ * - error: shown by the pages, so a missing list doesn't go unnoticed
+ */
+export default function useTaxClasses() {
+  const [taxClasses, setTaxClasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchTaxClasses = async () => {
+      try {
+        const res = await taxClassApi.getTaxClasses();
+        setTaxClasses(res.data.data || []);
+      } catch (err) {
+        console.error("Error fetching tax classes:", err);
+        setError(err.response?.data?.message || "Failed to load tax classes");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTaxClasses();
+  }, []);
+
+  return {
+    taxClasses,
+    names: taxClasses.map((taxClass) => taxClass.name),
+    loading,
+    error,
+  };
+}
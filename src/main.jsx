@@ -4,6 +4,7 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 import "./index.css";
 
 import { AuthProvider } from "./context/AuthContext";
+import { SettingsProvider } from "./context/SettingsContext.jsx";
 import ProtectedRoute from "./components/ProtectedRoute";
 import DashboardLayout from "./components/DashboardLayout";
 import LoginPage from "./pages/LoginPage";
@@ -12,35 +13,77 @@ import ProductForm from "./pages/ProductForm.jsx";
 import RegisterPage from "./pages/RegisterPage.jsx";
 import ProductsListPage from "./pages/ProductsListPage.jsx";
 import ProductEditPage from "./pages/ProductEditPage.jsx";
+import ProductImportPage from "./pages/ProductImportPage.jsx";
 import SalesCreatePage from "./pages/SalesCreatePage.jsx";
 import SalesListPage from "./pages/SalesListPage.jsx";
+import SaleDetailPage from "./pages/SaleDetailPage.jsx";
+import SaleEditPage from "./pages/SaleEditPage.jsx";
 import InvoicesListPage from "./pages/InvoicesListPage.jsx";
+import InvoiceDetailPage from "./pages/InvoiceDetailPage.jsx";
 import ReportsPage from "./pages/ReportsPage.jsx";
+import CategoriesPage from "./pages/CategoriesPage.jsx";
+import StockMovementsPage from "./pages/StockMovementsPage.jsx";
+import LowStockPage from "./pages/LowStockPage.jsx";
+import PurchaseOrdersListPage from "./pages/PurchaseOrdersListPage.jsx";
+import PurchaseOrderCreatePage from "./pages/PurchaseOrderCreatePage.jsx";
+import PurchaseOrderDetailPage from "./pages/PurchaseOrderDetailPage.jsx";
+import SuppliersListPage from "./pages/SuppliersListPage.jsx";
+import SupplierDetailPage from "./pages/SupplierDetailPage.jsx";
+import CustomersListPage from "./pages/CustomersListPage.jsx";
+import CustomerDetailPage from "./pages/CustomerDetailPage.jsx";
+import StoreSettingsPage from "./pages/StoreSettingsPage.jsx";
+import { ROLES } from "./context/roles.js";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <AuthProvider>
-      <BrowserRouter>
-        <Routes>
-          {/* Public routes */}
-          <Route path="/login"    element={<LoginPage />} />
-          <Route path="/register" element={<RegisterPage />} />
+      <SettingsProvider>
+        <BrowserRouter>
+          <Routes>
+            {/* Public routes */}
+            <Route path="/login"    element={<LoginPage />} />
+            <Route path="/register" element={<RegisterPage />} />
 
-          {/* Protected routes */}
-          <Route element={<ProtectedRoute />}>
-            <Route element={<DashboardLayout />}>
-              <Route path="/"                    element={<DashboardPage />} />
-              <Route path="/products/new"        element={<ProductForm />} />
-              <Route path="/products"            element={<ProductsListPage />} />
-              <Route path="/products/edit/:id"   element={<ProductEditPage />} />
-              <Route path="/sales"               element={<SalesListPage />} />
-              <Route path="/sales/new"           element={<SalesCreatePage />} />
-              <Route path="/invoices"            element={<InvoicesListPage />} />
-              <Route path="/reports"             element={<ReportsPage />} /> 
+            {/* Protected routes */}
+            <Route element={<ProtectedRoute />}>
+              <Route element={<DashboardLayout />}>
+                {/* Admin + employee */}
+                <Route element={<ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.EMPLOYEE]} />}>
+                  <Route path="/"                    element={<DashboardPage />} />
+                  <Route path="/products/new"        element={<ProductForm />} />
+                  <Route path="/products"            element={<ProductsListPage />} />
+                  <Route path="/products/edit/:id"   element={<ProductEditPage />} />
+                  <Route path="/products/import"     element={<ProductImportPage />} />
+                  <Route path="/products/low-stock"  element={<LowStockPage />} />
+                  <Route path="/products/:id/stock"  element={<StockMovementsPage />} />
+                  <Route path="/suppliers"           element={<SuppliersListPage />} />
+                  <Route path="/suppliers/new"       element={<SupplierDetailPage />} />
+                  <Route path="/suppliers/:id"       element={<SupplierDetailPage />} />
+                  <Route path="/purchase-orders"     element={<PurchaseOrdersListPage />} />
+                  <Route path="/purchase-orders/new" element={<PurchaseOrderCreatePage />} />
+                  <Route path="/purchase-orders/:id" element={<PurchaseOrderDetailPage />} />
+                  <Route path="/sales"               element={<SalesListPage />} />
+                  <Route path="/sales/new"           element={<SalesCreatePage />} />
+                  <Route path="/sales/:id"           element={<SaleDetailPage />} />
+                  <Route path="/sales/:id/edit"      element={<SaleEditPage />} />
+                  <Route path="/customers"           element={<CustomersListPage />} />
+                  <Route path="/customers/new"       element={<CustomerDetailPage />} />
+                  <Route path="/customers/:id"       element={<CustomerDetailPage />} />
+                </Route>
+
+                {/* Admin only */}
+                <Route element={<ProtectedRoute allowedRoles={[ROLES.ADMIN]} />}>
+                  <Route path="/invoices"            element={<InvoicesListPage />} />
+                  <Route path="/invoices/:id"        element={<InvoiceDetailPage />} />
+                  <Route path="/reports"             element={<ReportsPage />} />
+                  <Route path="/categories"          element={<CategoriesPage />} />
+                  <Route path="/settings"            element={<StoreSettingsPage />} />
+                </Route>
+              </Route>
             </Route>
-          </Route>
-        </Routes>
-      </BrowserRouter>
+          </Routes>
+        </BrowserRouter>
+      </SettingsProvider>
     </AuthProvider>
   </React.StrictMode>,
 );
\ No newline at end of file
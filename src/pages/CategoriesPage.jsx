@@ -0,0 +1,322 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { categoryApi } from '../api/categoryApi.js';
+import useCategories from '../hooks/useCategories.js';
+
+// row action buttons: rename / merge / delete
+const BUTTON_STYLES = {
+  primary: { background: 'rgba(59,92,212,0.08)', color: '#3B5CD4', border: '1px solid rgba(59,92,212,0.15)' },
+  muted: { background: '#f8fafc', color: '#475569', border: '1px solid #e2e8f0' },
+  danger: { background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' },
+};
+
+const ACTION_TITLES = {
+  rename: 'Rename',
+  merge: 'Merge into',
+  delete: 'Delete',
+};
+
+/**
+ * CategoriesPage
+ *
+ * Manage the store's product categories
+ * - list categories with their product count
+ * - create and rename categories
+ * - merge a category into another (its products move over)
+ * - delete a category, reassigning its products first
+ */
+export default function CategoriesPage() {
+  const { categories, loading, error: loadError, reload } = useCategories();
+
+  const [newName, setNewName] = useState('');
+  // { type: 'rename' | 'merge' | 'delete', id, value }
+  const [action, setAction] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const startAction = (type, category) => {
+    setError('');
+    setSuccess('');
+    setAction({ type, id: category._id, value: type === 'rename' ? category.name : '' });
+  };
+
+  // run an API call, then refresh the list and show the outcome
+  const runChange = async (request, successMessage, failureMessage) => {
+    setError('');
+    setSuccess('');
+    setSaving(true);
+    try {
+      await request();
+      setSuccess(successMessage);
+      setAction(null);
+      await reload();
+      return true;
+    } catch (err) {
+      console.error('Error updating categories:', err);
+      setError(err.response?.data?.message || failureMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    if (categories.some((c) => c.name.toLowerCase() === name.toLowerCase())) {
+      setError(`Category "${name}" already exists`);
+      return;
+    }
+
+    const created = await runChange(
+      () => categoryApi.createCategory({ name }),
+      `Category "${name}" created`,
+      'Failed to create category'
+    );
+    if (created) setNewName('');
+  };
+
+  const handleConfirmAction = (category) => {
+    const value = action.value.trim();
+
+    if (action.type === 'rename') {
+      if (!value || value === category.name) {
+        setAction(null);
+        return;
+      }
+      runChange(
+        () => categoryApi.updateCategory(category._id, { name: value }),
+        `"${category.name}" renamed to "${value}"`,
+        'Failed to rename category'
+      );
+    }
+
+    if (action.type === 'merge') {
+      const target = categories.find((c) => c._id === value);
+      if (!target) return;
+      runChange(
+        () => categoryApi.mergeCategory(category._id, target._id),
+        `"${category.name}" merged into "${target.name}"`,
+        'Failed to merge categories'
+      );
+    }
+
+    if (action.type === 'delete') {
+      // products must go somewhere before the category disappears
+      if (category.productCount > 0 && !value) return;
+      runChange(
+        () => categoryApi.deleteCategory(category._id, value),
+        `Category "${category.name}" deleted`,
+        'Failed to delete category'
+      );
+    }
+  };
+
+  const canConfirm = (category) => {
+    if (!action || saving) return false;
+    if (action.type === 'rename') return action.value.trim() !== '';
+    if (action.type === 'merge') return action.value !== '';
+    return category.productCount === 0 || action.value !== '';
+  };
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Categories</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {categories.length} categor{categories.length !== 1 ? 'ies' : 'y'} used to organise your products
+            </p>
+          </div>
+          <Link
+            to="/products"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Products
+          </Link>
+        </div>
+
+        {/* Alerts */}
+        {(error || loadError) && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error || loadError}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-5 max-w-3xl">
+
+          {/* ── NEW CATEGORY ──────────────────────────────────────────────── */}
+          <form onSubmit={handleCreate}
+            className="bg-white rounded-2xl px-5 py-4 flex items-center gap-3 shadow-sm"
+            style={{ border: '1px solid #e2e8f0' }}>
+            <input
+              value={newName}
+              onChange={e => setNewName(e.target.value)}
+              placeholder="New category name, e.g. Garden"
+              className="flex-1 rounded-xl px-4 py-2 text-sm transition-all duration-150 focus:outline-none"
+              style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+              onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+              onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}
+            />
+            <button
+              type="submit"
+              disabled={saving || !newName.trim()}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+              style={{ background: saving || !newName.trim() ? '#93a8e8' : '#3B5CD4' }}>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              Add Category
+            </button>
+          </form>
+
+          {/* ── CATEGORY LIST ─────────────────────────────────────────────── */}
+          <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            {loading && categories.length === 0 ? (
+              <div className="flex items-center justify-center gap-3 py-16">
+                <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+                </svg>
+                <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading categories…</span>
+              </div>
+            ) : categories.length === 0 ? (
+              <div className="flex flex-col items-center justify-center py-16">
+                <p className="text-sm font-medium" style={{ color: '#94a3b8' }}>No categories yet</p>
+                <p className="text-xs mt-1" style={{ color: '#cbd5e1' }}>Add your first category above</p>
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                    <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Name</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Products</th>
+                    <th className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map((category) => {
+                    const isOpen = action?.id === category._id;
+                    const others = categories.filter((c) => c._id !== category._id);
+
+                    return [
+                      <tr key={category._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-4">
+                          <Link
+                            to={`/products?category=${encodeURIComponent(category.name)}`}
+                            className="text-xs font-medium px-2.5 py-1 rounded-full"
+                            style={{ background: 'rgba(59,92,212,0.07)', color: '#3B5CD4' }}>
+                            {category.name}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-4 text-right font-semibold" style={{ color: '#1e293b' }}>
+                          {category.productCount ?? 0}
+                        </td>
+                        <td className="px-4 py-4">
+                          <div className="flex items-center justify-center gap-2">
+                            <button type="button" onClick={() => startAction('rename', category)}
+                              className="px-3 py-1.5 rounded-lg text-xs font-semibold" style={BUTTON_STYLES.primary}>
+                              Rename
+                            </button>
+                            <button type="button" onClick={() => startAction('merge', category)}
+                              disabled={others.length === 0}
+                              className="px-3 py-1.5 rounded-lg text-xs font-semibold" style={BUTTON_STYLES.muted}>
+                              Merge
+                            </button>
+                            <button type="button" onClick={() => startAction('delete', category)}
+                              className="px-3 py-1.5 rounded-lg text-xs font-semibold" style={BUTTON_STYLES.danger}>
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>,
+
+                      isOpen && (
+                        <tr key={`${category._id}-action`} style={{ background: '#fafbff', borderBottom: '1px solid #f1f5f9' }}>
+                          <td colSpan={3} className="px-6 py-4">
+                            <div className="flex flex-wrap items-center gap-3">
+                              <span className="text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>
+                                {ACTION_TITLES[action.type]}
+                              </span>
+
+                              {action.type === 'rename' ? (
+                                <input
+                                  value={action.value}
+                                  onChange={e => setAction((prev) => ({ ...prev, value: e.target.value }))}
+                                  autoFocus
+                                  className="rounded-xl px-3 py-1.5 text-sm focus:outline-none"
+                                  style={{ border: '1px solid #3B5CD4', background: '#fff', color: '#1e293b' }}
+                                />
+                              ) : (action.type === 'merge' || category.productCount > 0) ? (
+                                <select
+                                  value={action.value}
+                                  onChange={e => setAction((prev) => ({ ...prev, value: e.target.value }))}
+                                  className="rounded-xl px-3 py-1.5 text-sm focus:outline-none"
+                                  style={{ border: '1px solid #e2e8f0', background: '#fff', color: '#1e293b' }}>
+                                  <option value="">
+                                    {action.type === 'merge' ? 'Select category' : `Move ${category.productCount} product(s) to…`}
+                                  </option>
+                                  {others.map((c) => (
+                                    <option key={c._id} value={c._id}>{c.name}</option>
+                                  ))}
+                                </select>
+                              ) : (
+                                <span className="text-sm" style={{ color: '#475569' }}>
+                                  "{category.name}" has no products and will be removed.
+                                </span>
+                              )}
+
+                              <button type="button" onClick={() => handleConfirmAction(category)}
+                                disabled={!canConfirm(category)}
+                                className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                                style={{
+                                  ...(action.type === 'delete' ? BUTTON_STYLES.danger : BUTTON_STYLES.primary),
+                                  opacity: canConfirm(category) ? 1 : 0.5,
+                                }}>
+                                {saving ? 'Saving…' : 'Confirm'}
+                              </button>
+                              <button type="button" onClick={() => setAction(null)}
+                                className="px-3 py-1.5 rounded-lg text-xs font-semibold" style={BUTTON_STYLES.muted}>
+                                Cancel
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ),
+                    ];
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
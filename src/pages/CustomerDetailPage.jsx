@@ -0,0 +1,486 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { customerApi } from '../api/customerApi.js';
+import { salesApi } from '../api/salesApi.js';
+import { invoiceApi } from '../api/invoiceApi.js';
+import CustomerAutocomplete from '../components/CustomerAutocomplete.jsx';
+import StatusBadge from '../components/StatusBadge.jsx';
+import { useAuth } from '../context/AuthContext.jsx';
+import { useSettings } from '../context/SettingsContext.jsx';
+import { hasRole, ROLES } from '../context/roles.js';
+import {
+  EMPTY_CUSTOMER,
+  customerToForm,
+  toCustomerPayload,
+  validateCustomer,
+} from '../utils/customerForm.js';
+import { INVOICE_STATUS_STYLES, SALE_STATUS_STYLES } from '../utils/statusStyles.js';
+
+// rows shown in the sales / invoices tables; the figures come from the
+// server's totals over the full history
+const HISTORY_ROWS = 50;
+
+const EMPTY_STATS = {
+  lifetimeRevenue: 0,
+  orderCount: 0,
+  averageOrderValue: 0,
+  lastPurchase: null,
+  outstandingBalance: 0,
+  outstandingCount: 0,
+  topProducts: [],
+};
+
+const idOf = (value) => value?._id ?? value;
+
+// latest sales or invoices of the customer: the ones linked by customerId,
+// plus older ones that only carry the customer's email. One page each;
+// results are checked here too, so a backend that ignores a filter can't
+// pull in other customers' records
+async function fetchRecentHistory(getList, listKey, customer) {
+  const email = customer.email?.trim().toLowerCase();
+  const filters = [{ customerId: customer._id }];
+  if (email) filters.push({ customerEmail: customer.email.trim() });
+
+  const lists = await Promise.all(
+    filters.map(async (filter) => {
+      const res = await getList({ ...filter, page: 1, limit: HISTORY_ROWS, sort: 'createdAt', order: 'desc' });
+      return res.data[listKey] || [];
+    })
+  );
+
+  const belongs = (record) => {
+    const customerId = idOf(record.customerId);
+    if (customerId) return customerId === customer._id;
+    return Boolean(email) && record.customerEmail?.trim().toLowerCase() === email;
+  };
+  const byId = new Map(lists.flat().filter(belongs).map((record) => [record._id, record]));
+  return [...byId.values()]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, HISTORY_ROWS);
+}
+
+const CUSTOMER_FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'e.g. John Smith', required: true },
+  { key: 'email', label: 'Email', type: 'email', placeholder: 'john@example.com' },
+  { key: 'phone', label: 'Phone', placeholder: '+1 555 000 0000' },
+  { key: 'notes', label: 'Notes', placeholder: 'Delivery preferences, account number…' },
+];
+
+/**
+ * CustomerDetailPage
+ *
+ * Create (/customers/new) or view / edit (/customers/:id) a customer
+ * - lifetime revenue, orders, average order value, last purchase and
+ *   (admin) outstanding balance from unpaid invoices, totalled by the
+ *   server over the whole history
+ * - top products bought, their latest sales and (admin) invoices with links
+ * - name and contact details used to fill in new sales
+ * - merge a duplicate into another customer (admin only); its sales
+ *   move over and this record is removed
+ */
+export default function CustomerDetailPage() {
+  const { id } = useParams();
+  const isNew = !id;
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { currency, formatMoney } = useSettings();
+  const isAdmin = hasRole(user, [ROLES.ADMIN]);
+
+  const [customer, setCustomer] = useState(null);
+  const [stats, setStats] = useState(EMPTY_STATS);
+  const [sales, setSales] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [form, setForm] = useState(EMPTY_CUSTOMER);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(!isNew);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // merge target search text + the picked customer
+  const [mergeQuery, setMergeQuery] = useState('');
+  const [mergeTarget, setMergeTarget] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  const fetchCustomer = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const customerRes = await customerApi.getCustomerById(id);
+      const loaded = customerRes.data.data;
+      // invoices are admin-only
+      const [statsRes, salesHistory, invoicesHistory] = await Promise.all([
+        customerApi.getCustomerStats(id, currency),
+        fetchRecentHistory(salesApi.getSales, 'sales', loaded),
+        isAdmin ? fetchRecentHistory(invoiceApi.getInvoices, 'invoices', loaded) : Promise.resolve([]),
+      ]);
+      setCustomer(loaded);
+      setForm(customerToForm(loaded));
+      setStats(statsRes.data.data);
+      setSales(salesHistory);
+      setInvoices(invoicesHistory);
+    } catch (err) {
+      console.error('Error fetching customer:', err);
+      setError(err.response?.data?.message || 'Failed to load customer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isNew) fetchCustomer();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const newErrors = validateCustomer(form);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSaving(true);
+    try {
+      if (isNew) {
+        const res = await customerApi.createCustomer(toCustomerPayload(form));
+        navigate(`/customers/${res.data.data?._id || ''}`);
+        return;
+      }
+      await customerApi.updateCustomer(id, toCustomerPayload(form));
+      setSuccess('Customer updated successfully');
+      await fetchCustomer();
+    } catch (err) {
+      console.error('Error saving customer:', err);
+      setError(err.response?.data?.message || 'Failed to save customer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const confirmed = window.confirm(
+      `Merge "${customer.name}" into "${mergeTarget.name}"? All sales move to "${mergeTarget.name}" and "${customer.name}" is removed.`
+    );
+    if (!confirmed) return;
+
+    setError('');
+    setMerging(true);
+    try {
+      await customerApi.mergeCustomer(id, mergeTarget._id);
+      setMergeQuery('');
+      setMergeTarget(null);
+      navigate(`/customers/${mergeTarget._id}`);
+    } catch (err) {
+      console.error('Error merging customers:', err);
+      setError(err.response?.data?.message || 'Failed to merge customers');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading customer…</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>
+              {isNew ? 'New Customer' : customer?.name || 'Customer'}
+            </h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {isNew ? 'Add a customer to pick on new sales' : 'Purchase history and contact details'}
+            </p>
+          </div>
+          <Link
+            to="/customers"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Customers
+          </Link>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-5 max-w-5xl">
+
+          {/* ── STATS ─────────────────────────────────────────────────────── */}
+          {!isNew && (
+            <div className="grid gap-4 md:grid-cols-5">
+              {[
+                { label: 'Lifetime Revenue', value: formatMoney(stats.lifetimeRevenue) },
+                { label: 'Orders', value: stats.orderCount },
+                { label: 'Avg. Order', value: formatMoney(stats.averageOrderValue) },
+                { label: 'Last Purchase', value: stats.lastPurchase ? new Date(stats.lastPurchase).toLocaleDateString() : '—' },
+                isAdmin && {
+                  label: 'Outstanding',
+                  value: formatMoney(stats.outstandingBalance),
+                  hint: `${stats.outstandingCount} unpaid invoice${stats.outstandingCount !== 1 ? 's' : ''}`,
+                  color: stats.outstandingBalance > 0 ? '#dc2626' : '#1e293b',
+                },
+              ].filter(Boolean).map((stat) => (
+                <div key={stat.label} className="bg-white rounded-2xl px-5 py-4 shadow-sm" style={{ border: '1px solid #e2e8f0' }}>
+                  <p className="text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>{stat.label}</p>
+                  <p className="text-xl font-bold mt-1" style={{ color: stat.color || '#1e293b' }}>{stat.value}</p>
+                  {stat.hint && <p className="text-xs mt-0.5" style={{ color: '#94a3b8' }}>{stat.hint}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* ── DETAILS FORM ──────────────────────────────────────────────── */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Customer Details</h2>
+            </div>
+            <div className="p-6 grid gap-5 md:grid-cols-2">
+              {CUSTOMER_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                    {field.label} {field.required && <span style={{ color: '#ef4444' }}>*</span>}
+                  </label>
+                  <input
+                    name={field.key}
+                    type={field.type || 'text'}
+                    value={form[field.key]}
+                    onChange={handleChange}
+                    placeholder={field.placeholder}
+                    className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+                    style={{
+                      border: errors[field.key] ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                      background: errors[field.key] ? '#fef2f2' : '#f8fafc',
+                      color: '#1e293b',
+                    }}
+                  />
+                  {errors[field.key] && (
+                    <p className="mt-1.5 text-xs" style={{ color: '#dc2626' }}>{errors[field.key]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="px-6 py-4 flex items-center justify-end border-t" style={{ borderColor: '#f1f5f9' }}>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-6 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                style={{
+                  background: saving ? '#93a8e8' : 'linear-gradient(135deg, #3B5CD4, #3A96D4)',
+                  boxShadow: saving ? 'none' : '0 2px 12px rgba(59,92,212,0.3)',
+                }}>
+                {saving ? 'Saving…' : isNew ? 'Create Customer' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+
+          {/* ── TOP PRODUCTS ──────────────────────────────────────────────── */}
+          {!isNew && stats.topProducts.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Top Products</h2>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                    <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Qty Bought</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Revenue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.topProducts.map(({ product, quantity, revenue }) => (
+                    <tr key={product._id || product.sku || product.name} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                      <td className="px-6 py-3">
+                        <span className="font-medium" style={{ color: '#1e293b' }}>{product.name || 'Unknown product'}</span>
+                        {product.sku && <span className="ml-2 font-mono text-xs" style={{ color: '#94a3b8' }}>{product.sku}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>{quantity}</td>
+                      <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{formatMoney(revenue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* ── SALES ─────────────────────────────────────────────────────── */}
+          {!isNew && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Sales</h2>
+                {sales.length === HISTORY_ROWS && (
+                  <p className="text-xs mt-0.5" style={{ color: '#94a3b8' }}>Latest {HISTORY_ROWS}</p>
+                )}
+              </div>
+              {sales.length === 0 ? (
+                <p className="px-6 py-8 text-sm text-center" style={{ color: '#94a3b8' }}>No sales for this customer yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                      <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Sale</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Status</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Items</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sales.map((sale) => (
+                      <tr key={sale._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-3">
+                          <Link to={`/sales/${sale._id}`} className="font-mono text-xs font-semibold" style={{ color: '#3B5CD4' }}>
+                            #{sale._id.slice(-6).toUpperCase()}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-3" style={{ color: '#64748b' }}>{new Date(sale.createdAt).toLocaleDateString()}</td>
+                        <td className="px-4 py-3">
+                          <StatusBadge status={sale.status} styles={SALE_STATUS_STYLES} fallback="pending" />
+                        </td>
+                        <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{(sale.items || []).length}</td>
+                        <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>
+                          {formatMoney(sale.totalAmount, sale.currency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* ── INVOICES ──────────────────────────────────────────────────── */}
+          {!isNew && isAdmin && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Invoices</h2>
+                {invoices.length === HISTORY_ROWS && (
+                  <p className="text-xs mt-0.5" style={{ color: '#94a3b8' }}>Latest {HISTORY_ROWS}</p>
+                )}
+              </div>
+              {invoices.length === 0 ? (
+                <p className="px-6 py-8 text-sm text-center" style={{ color: '#94a3b8' }}>No invoices for this customer yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                      <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Invoice #</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Issued</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Due</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Status</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invoices.map((invoice) => (
+                      <tr key={invoice._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-3">
+                          <Link to={`/invoices/${invoice._id}`} className="font-mono text-xs font-semibold" style={{ color: '#3B5CD4' }}>
+                            {invoice.invoiceNumber || `#${invoice._id.slice(-6).toUpperCase()}`}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-3" style={{ color: '#64748b' }}>{new Date(invoice.createdAt).toLocaleDateString()}</td>
+                        <td className="px-4 py-3" style={{ color: '#64748b' }}>
+                          {invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : '—'}
+                        </td>
+                        <td className="px-4 py-3">
+                          <StatusBadge status={invoice.status} styles={INVOICE_STATUS_STYLES} fallback="draft" />
+                        </td>
+                        <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>
+                          {formatMoney(invoice.totalAmount, invoice.currency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* ── MERGE DUPLICATE ───────────────────────────────────────────── */}
+          {!isNew && isAdmin && customer && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Merge Duplicate</h2>
+                <p className="text-xs mt-0.5" style={{ color: '#94a3b8' }}>
+                  Move this customer's sales to the customer that should be kept, then remove this one
+                </p>
+              </div>
+              <div className="p-6 flex flex-wrap items-end gap-3">
+                <div className="flex-1 min-w-64">
+                  <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                    Keep customer
+                  </label>
+                  <CustomerAutocomplete
+                    name="mergeTarget"
+                    value={mergeQuery}
+                    onChange={(e) => { setMergeQuery(e.target.value); setMergeTarget(null); }}
+                    onSelect={(target) => { setMergeTarget(target); setMergeQuery(target.name); }}
+                    placeholder="Search by name, email or phone"
+                    excludeId={id}
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={handleMerge}
+                  disabled={!mergeTarget || merging}
+                  className="px-4 py-2.5 rounded-xl text-sm font-semibold"
+                  style={mergeTarget && !merging
+                    ? { background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' }
+                    : { background: '#f8fafc', color: '#cbd5e1', border: '1px solid #e2e8f0' }}>
+                  {merging ? 'Merging…' : 'Merge into selected'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
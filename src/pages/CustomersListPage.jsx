@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { customerApi } from '../api/customerApi.js';
+import useListQueryState from '../hooks/useListQueryState.js';
+
+const PAGE_SIZE = 20;
+
+/**
+ * CustomersListPage
+ *
+ * Customer directory
+ * - search by name, email or phone (?search=, kept in the URL)
+ * - contact details and number of sales per customer
+ * - links to the customer page (edit, merge duplicates)
+ */
+export default function CustomersListPage() {
+  const navigate = useNavigate();
+  const listQuery = useListQueryState({ search: '' }, ['search']);
+
+  const [customers, setCustomers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchCustomers = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const params = { page: listQuery.page, limit: PAGE_SIZE, sort: 'name', order: 'asc' };
+      if (listQuery.values.search) params.search = listQuery.values.search;
+
+      const res = await customerApi.getCustomers(params);
+      setCustomers(res.data.data || []);
+      setTotal(res.data.pagination?.total ?? (res.data.data || []).length);
+      setTotalPages(res.data.pagination?.totalPages || 1);
+    } catch (err) {
+      console.error('Error fetching customers:', err);
+      setError(err.response?.data?.message || 'Failed to load customers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCustomers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [listQuery.queryKey]);
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    listQuery.applyDraft();
+  };
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Customers</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {total} customer{total !== 1 ? 's' : ''}{listQuery.values.search ? ` matching "${listQuery.values.search}"` : ''}
+            </p>
+          </div>
+          <Link
+            to="/customers/new"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+            style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+            onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+            onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            New Customer
+          </Link>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {/* ── FILTERS ─────────────────────────────────────────────────────── */}
+        <form onSubmit={handleSearchSubmit}
+          className="bg-white rounded-2xl px-5 py-4 mb-5 flex flex-wrap items-center gap-3 shadow-sm"
+          style={{ border: '1px solid #e2e8f0' }}>
+          <div className="relative">
+            <svg className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none" style={{ color: '#94a3b8' }}
+              fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+            </svg>
+            <input
+              type="text"
+              value={listQuery.draft.search}
+              onChange={e => listQuery.setDraftValue('search', e.target.value)}
+              placeholder="Search by name, email or phone…"
+              className="rounded-xl pl-9 pr-4 py-2 text-sm focus:outline-none transition-all duration-150"
+              style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b', width: '280px' }}
+              onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+              onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}
+            />
+          </div>
+          <button type="submit"
+            className="px-4 py-2 rounded-xl text-sm font-semibold text-white"
+            style={{ background: '#3B5CD4' }}>
+            Search
+          </button>
+          {listQuery.hasActive(['search']) && (
+            <button type="button"
+              onClick={listQuery.clearValues}
+              className="px-4 py-2 rounded-xl text-sm font-medium"
+              style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}>
+              Clear
+            </button>
+          )}
+        </form>
+
+        {/* ── TABLE ───────────────────────────────────────────────────────── */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+          {loading && customers.length === 0 ? (
+            <p className="py-16 text-center text-sm" style={{ color: '#64748b' }}>Loading customers…</p>
+          ) : customers.length === 0 ? (
+            <div className="py-16 text-center">
+              <p className="text-sm font-medium" style={{ color: '#94a3b8' }}>No customers found</p>
+              <p className="text-xs mt-1" style={{ color: '#cbd5e1' }}>
+                {listQuery.values.search ? 'Try a different search' : 'Customers are added here or when saving a sale'}
+              </p>
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Customer</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Email</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Phone</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Sales</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Added</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map((customer) => (
+                  <tr key={customer._id}
+                    className="cursor-pointer"
+                    style={{ borderBottom: '1px solid #f1f5f9' }}
+                    onClick={() => navigate(`/customers/${customer._id}`)}
+                    onMouseEnter={e => e.currentTarget.style.background = '#fafbff'}
+                    onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
+                    <td className="px-6 py-4 font-semibold" style={{ color: '#1e293b' }}>{customer.name}</td>
+                    <td className="px-4 py-4" style={{ color: '#475569' }}>{customer.email || '—'}</td>
+                    <td className="px-4 py-4" style={{ color: '#475569' }}>{customer.phone || '—'}</td>
+                    <td className="px-4 py-4 text-right font-semibold" style={{ color: '#1e293b' }}>{customer.salesCount ?? '—'}</td>
+                    <td className="px-4 py-4" style={{ color: '#64748b' }}>
+                      {customer.createdAt ? new Date(customer.createdAt).toLocaleDateString() : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="px-6 py-3 flex items-center justify-between border-t" style={{ borderColor: '#f1f5f9' }}>
+              <span className="text-xs" style={{ color: '#64748b' }}>Page {listQuery.page} of {totalPages}</span>
+              <div className="flex gap-2">
+                <button type="button" disabled={listQuery.page <= 1} onClick={() => listQuery.setPage(listQuery.page - 1)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                  style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: listQuery.page <= 1 ? '#cbd5e1' : '#475569' }}>
+                  Previous
+                </button>
+                <button type="button" disabled={listQuery.page >= totalPages} onClick={() => listQuery.setPage(listQuery.page + 1)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                  style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: listQuery.page >= totalPages ? '#cbd5e1' : '#475569' }}>
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
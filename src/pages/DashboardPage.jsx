@@ -1,7 +1,9 @@
 import { useAuth } from "../context/AuthContext.jsx";
+import { useSettings } from "../context/SettingsContext.jsx";
 import { useEffect, useState } from "react";
 import { dashboardApi } from "../api/dashboardApi.js";
 import { Link } from "react-router-dom";
+import { hasRole, ROLES } from "../context/roles.js";
 
 /**
  * Dashboard
@@ -11,10 +13,12 @@ import { Link } from "react-router-dom";
  * - Summary cards:
  * - Revenue this year (current month)
  * - Total invoices (and paid count)
- * - Low stock products count
+ * - Low stock products count (each product's own minStock), linking to
+ *   the low-stock page
  */
 export default function DashboardPage() {
   const { user } = useAuth();
+  const { currency, formatMoney } = useSettings();
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
@@ -38,9 +42,9 @@ export default function DashboardPage() {
 
         // Call all endpoints in parallel
         const [revenueRes, invoiceStatsRes, lowStockRes] = await Promise.all([
-          dashboardApi.getMonthlyRevenue(currentYear),
-          dashboardApi.getInvoiceStats(),
-          dashboardApi.getLowStock(5),
+          dashboardApi.getMonthlyRevenue(currentYear, currency),
+          dashboardApi.getInvoiceStats(currency),
+          dashboardApi.getLowStock(),
         ]);
 
         // ----- Monthly revenue -----
@@ -85,7 +89,7 @@ export default function DashboardPage() {
     };
 
     fetchDashboardData();
-  }, []);
+  }, [currency]);
 
   if (loading) {
     return (
@@ -149,7 +153,7 @@ export default function DashboardPage() {
               </div>
             </div>
             <p className="text-3xl font-bold mb-1" style={{ color: '#1e293b' }}>
-              ${stats.monthlyRevenue.toFixed(2)}
+              {formatMoney(stats.monthlyRevenue)}
             </p>
             <p className="text-xs" style={{ color: '#94a3b8' }}>Based on completed sales this month</p>
           </div>
@@ -201,9 +205,19 @@ export default function DashboardPage() {
             </p>
             <p className="text-xs" style={{ color: '#94a3b8' }}>
               {stats.lowStockCount > 0
-                ? 'Products at or below threshold of 5'
+                ? 'Products at or below their minimum stock'
                 : 'All products sufficiently stocked'}
             </p>
+            <div className="flex items-center gap-4 mt-3">
+              <Link to="/products/low-stock" className="text-xs font-semibold" style={{ color: '#3B5CD4' }}>
+                View low stock →
+              </Link>
+              {stats.lowStockCount > 0 && (
+                <Link to="/purchase-orders/new?reorder=1" className="text-xs font-semibold" style={{ color: '#3B5CD4' }}>
+                  Reorder →
+                </Link>
+              )}
+            </div>
           </div>
         </section>
 
@@ -215,10 +229,10 @@ export default function DashboardPage() {
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             {[
               { to: '/sales', label: 'View Sales', icon: 'M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z', color: '#3B5CD4', bg: 'rgba(59,92,212,0.08)' },
-              { to: '/invoices', label: 'View Invoices', icon: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z', color: '#3A96D4', bg: 'rgba(58,150,212,0.08)' },
+              { to: '/invoices', label: 'View Invoices', icon: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z', color: '#3A96D4', bg: 'rgba(58,150,212,0.08)', roles: [ROLES.ADMIN] },
               { to: '/products', label: 'View Products', icon: 'M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4', color: '#33B833', bg: 'rgba(51,184,51,0.08)' },
               { to: '/products/new', label: 'New Product', icon: 'M12 4v16m8-8H4', color: '#f59e0b', bg: 'rgba(245,158,11,0.08)' },
-            ].map(({ to, label, icon, color, bg }) => (
+            ].filter(({ roles }) => hasRole(user, roles)).map(({ to, label, icon, color, bg }) => (
               <Link key={to} to={to}
                 className="bg-white rounded-2xl p-5 shadow-sm flex flex-col items-center gap-3 text-center transition-all duration-150"
                 style={{ border: '1px solid #e2e8f0' }}
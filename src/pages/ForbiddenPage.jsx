@@ -0,0 +1,44 @@
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+
+/**
+ * ForbiddenPage
+ *
+ * Shown by ProtectedRoute when the logged-in user's role
+ * is not allowed to open the requested route (403).
+ */
+export default function ForbiddenPage() {
+  const { user } = useAuth();
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+      <main className="flex-1 p-8 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-sm p-10 text-center max-w-md" style={{ border: '1px solid #e2e8f0' }}>
+          <div className="w-14 h-14 rounded-2xl flex items-center justify-center mx-auto mb-4"
+            style={{ background: 'rgba(239,68,68,0.1)' }}>
+            <svg className="w-7 h-7" style={{ color: '#ef4444' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+            </svg>
+          </div>
+          <p className="text-xs font-semibold uppercase tracking-widest mb-1" style={{ color: '#94a3b8' }}>Error 403</p>
+          <h1 className="text-2xl font-bold mb-2" style={{ color: '#1e293b' }}>Access denied</h1>
+          <p className="text-sm mb-6" style={{ color: '#64748b' }}>
+            Your account{user?.role ? <> (<span className="font-semibold">{user.role}</span>)</> : null} doesn&apos;t have
+            permission to view this page. Ask an administrator if you need access.
+          </p>
+          <Link
+            to="/"
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+            style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+            onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+            onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Dashboard
+          </Link>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,739 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { invoiceApi } from "../api/invoiceApi.js";
+import StatusBadge from "../components/StatusBadge.jsx";
+import InfoRow from "../components/InfoRow.jsx";
+import TaxBreakdown from "../components/TaxBreakdown.jsx";
+import { INVOICE_STATUS_STYLES } from "../utils/statusStyles.js";
+import { downloadBlob } from "../utils/download.js";
+import { computeSaleTotals } from "../utils/saleForm.js";
+import { toBaseAmount } from "../utils/money.js";
+import { useSettings } from "../context/SettingsContext.jsx";
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  credit_card: "Credit Card",
+  bank_transfer: "Bank Transfer",
+  check: "Check",
+  other: "Other",
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString() : null;
+
+/**
+ * InvoiceDetailPage
+ *
+ * - fetch a single invoice with GET /api/invoices/:id
+ * - render header, customer, items, tax, totals, payment info and notes
+ * - tax broken down by rate (lines can have different tax classes)
+ * - amounts in the invoice's currency (its sale's), plus the store-currency
+ *   total for foreign-currency invoices
+ * - embed the PDF from GET /api/invoices/:id/pdf in an inline viewer
+ * - print / download the PDF and update the status on the same screen
+ */
+export default function InvoiceDetailPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currency: baseCurrency, formatMoney } = useSettings();
+  const pdfFrameRef = useRef(null);
+
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+
+  // PDF preview
+  const [pdfBlob, setPdfBlob] = useState(null);
+  const [pdfUrl, setPdfUrl] = useState("");
+  const [pdfLoading, setPdfLoading] = useState(true);
+  const [pdfError, setPdfError] = useState("");
+
+  // status editor
+  const [editingStatus, setEditingStatus] = useState("");
+  const [editingPaymentMethod, setEditingPaymentMethod] = useState("");
+  const [savingStatus, setSavingStatus] = useState(false);
+
+  const fetchInvoice = useCallback(async () => {
+    try {
+      setError("");
+      setLoading(true);
+
+      const res = await invoiceApi.getInvoiceById(id);
+      const data = res.data.data; // { success, data: invoice }
+      setInvoice(data);
+      setEditingStatus(data.status || "draft");
+      setEditingPaymentMethod(data.paymentMethod || "");
+    } catch (err) {
+      console.error("Error fetching invoice:", err);
+      const msg = err.response?.data?.message || "Failed to load invoice";
+      setError(msg);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchInvoice();
+  }, [fetchInvoice]);
+
+  // Load PDF for the inline viewer, revoke the object URL when leaving
+  useEffect(() => {
+    let objectUrl = "";
+    let cancelled = false;
+
+    const fetchPdf = async () => {
+      try {
+        setPdfError("");
+        setPdfLoading(true);
+
+        const response = await invoiceApi.downloadInvoicePdf(id);
+        const blob = new Blob([response.data], { type: "application/pdf" });
+        if (cancelled) return;
+
+        objectUrl = window.URL.createObjectURL(blob);
+        setPdfBlob(blob);
+        setPdfUrl(objectUrl);
+      } catch (err) {
+        console.error("Error loading invoice PDF:", err);
+        if (!cancelled) setPdfError("Failed to load invoice PDF preview.");
+      } finally {
+        if (!cancelled) setPdfLoading(false);
+      }
+    };
+    fetchPdf();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+
+  // Handlers //
+  const handlePrint = () => {
+    const frameWindow = pdfFrameRef.current?.contentWindow;
+    if (frameWindow) {
+      frameWindow.focus();
+      frameWindow.print();
+    } else if (pdfUrl) {
+      window.open(pdfUrl, "_blank");
+    }
+  };
+
+  const handleDownload = () => {
+    if (!pdfBlob) return;
+    downloadBlob(
+      pdfBlob,
+      (invoice?.invoiceNumber || `invoice-${id}`) + ".pdf",
+    );
+  };
+
+  const handleSaveStatus = async () => {
+    if (!editingStatus || editingStatus === invoice.status) return;
+
+    try {
+      setError("");
+      setSuccessMessage("");
+      setSavingStatus(true);
+
+      const payload = { status: editingStatus };
+
+      // If marking as paid, also send paymentDate + paymentMethod
+      if (editingStatus === "paid") {
+        payload.paymentMethod =
+          editingPaymentMethod || invoice.paymentMethod || "cash";
+        payload.paymentDate = new Date().toISOString();
+      }
+
+      await invoiceApi.updateInvoice(invoice._id, payload);
+
+      // Backend returns only { message }, so refetch the invoice
+      await fetchInvoice();
+      setSuccessMessage("Invoice status updated.");
+    } catch (err) {
+      console.error("Error updating invoice status:", err);
+      const msg =
+        err.response?.data?.message || "Failed to update invoice status.";
+      setError(msg);
+    } finally {
+      setSavingStatus(false);
+    }
+  };
+
+  // RENDER //
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="text-slate-600 text-sm">Loading invoice...</div>
+      </div>
+    );
+  }
+
+  const items = invoice?.items || [];
+  // backend totals win; invoices from before tax classes have one rate
+  const computed = computeSaleTotals(
+    items,
+    invoice || {},
+    invoice?.taxPercentage,
+  );
+  const subtotal = invoice?.subtotal ?? computed.subtotal;
+  const discountTotal = invoice?.discountTotal ?? computed.discountTotal;
+  const taxBreakdown = invoice?.taxBreakdown ?? computed.taxBreakdown;
+  const includedTaxAmount =
+    invoice?.includedTaxAmount ?? computed.includedTaxAmount;
+  const totalAmount = invoice?.totalAmount ?? computed.totalAmount;
+  const taxRates =
+    taxBreakdown.map((entry) => `${Number(entry.rate)}%`).join(", ") || "0%";
+  const saleId = invoice?.sale?._id || invoice?.sale || invoice?.saleId;
+  const invoiceCurrency =
+    invoice?.currency || invoice?.sale?.currency || baseCurrency;
+  const exchangeRate = invoice?.exchangeRate ?? invoice?.sale?.exchangeRate;
+
+  return (
+    <div
+      className="min-h-screen flex"
+      style={{ background: "#f1f5f9", fontFamily: "system-ui, sans-serif" }}
+    >
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <div className="flex items-center gap-3">
+              <h1 className="text-2xl font-bold" style={{ color: "#1e293b" }}>
+                Invoice{" "}
+                <span className="font-mono" style={{ color: "#3B5CD4" }}>
+                  {invoice?.invoiceNumber || ""}
+                </span>
+              </h1>
+              {invoice && (
+                <StatusBadge
+                  status={invoice.status}
+                  styles={INVOICE_STATUS_STYLES}
+                  fallback="draft"
+                />
+              )}
+            </div>
+            {saleId && (
+              <p className="text-sm mt-0.5" style={{ color: "#64748b" }}>
+                Created from{" "}
+                <Link
+                  to={`/sales/${saleId}`}
+                  className="font-medium hover:underline"
+                  style={{ color: "#3B5CD4" }}
+                >
+                  sale #{String(saleId).slice(-6)}
+                </Link>
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => navigate("/invoices")}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{
+              background: "#fff",
+              border: "1px solid #e2e8f0",
+              color: "#475569",
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.borderColor = "#3B5CD4";
+              e.currentTarget.style.color = "#3B5CD4";
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.borderColor = "#e2e8f0";
+              e.currentTarget.style.color = "#475569";
+            }}
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M10 19l-7-7m0 0l7-7m-7 7h18"
+              />
+            </svg>
+            Back to Invoices
+          </button>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div
+            className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{
+              background: "#fef2f2",
+              border: "1px solid #fecaca",
+              color: "#dc2626",
+            }}
+          >
+            <svg
+              className="w-4 h-4 flex-shrink-0"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <path
+                fillRule="evenodd"
+                d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+                clipRule="evenodd"
+              />
+            </svg>
+            {error}
+          </div>
+        )}
+        {successMessage && (
+          <div
+            className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{
+              background: "#f0fdf4",
+              border: "1px solid #bbf7d0",
+              color: "#16a34a",
+            }}
+          >
+            <svg
+              className="w-4 h-4 flex-shrink-0"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <path
+                fillRule="evenodd"
+                d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
+                clipRule="evenodd"
+              />
+            </svg>
+            {successMessage}
+          </div>
+        )}
+
+        {invoice && (
+          <div className="grid gap-6 xl:grid-cols-2">
+            {/* ── LEFT: invoice contents ───────────────────────────────────── */}
+            <div className="space-y-6">
+              {/* Header + customer */}
+              <div
+                className="bg-white rounded-2xl shadow-sm p-6"
+                style={{ border: "1px solid #e2e8f0" }}
+              >
+                <div className="grid gap-5 md:grid-cols-3 mb-6">
+                  <InfoRow
+                    label="Issued"
+                    value={formatDate(invoice.issueDate || invoice.createdAt)}
+                  />
+                  <InfoRow label="Due" value={formatDate(invoice.dueDate)} />
+                  <InfoRow label="Tax Rates" value={taxRates} />
+                </div>
+                <div
+                  className="grid gap-5 md:grid-cols-3 pt-5 border-t"
+                  style={{ borderColor: "#f1f5f9" }}
+                >
+                  <InfoRow label="Customer" value={invoice.customerName} />
+                  <InfoRow label="Email" value={invoice.customerEmail} />
+                  <InfoRow label="Phone" value={invoice.customerPhone} />
+                  {invoice.customerAddress && (
+                    <div className="md:col-span-3">
+                      <InfoRow label="Address" value={invoice.customerAddress} />
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Items */}
+              <div
+                className="bg-white rounded-2xl shadow-sm overflow-hidden"
+                style={{ border: "1px solid #e2e8f0" }}
+              >
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr
+                      style={{
+                        background: "#f8fafc",
+                        borderBottom: "1px solid #e2e8f0",
+                      }}
+                    >
+                      <th
+                        className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest"
+                        style={{ color: "#94a3b8" }}
+                      >
+                        Item
+                      </th>
+                      <th
+                        className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                        style={{ color: "#94a3b8" }}
+                      >
+                        Qty
+                      </th>
+                      <th
+                        className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                        style={{ color: "#94a3b8" }}
+                      >
+                        Unit Price
+                      </th>
+                      <th
+                        className="px-6 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                        style={{ color: "#94a3b8" }}
+                      >
+                        Total
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.length === 0 ? (
+                      <tr>
+                        <td
+                          colSpan={4}
+                          className="px-6 py-8 text-center text-sm"
+                          style={{ color: "#94a3b8" }}
+                        >
+                          No items on this invoice
+                        </td>
+                      </tr>
+                    ) : (
+                      items.map((item, index) => {
+                        const product =
+                          item.product ||
+                          (typeof item.productId === "object"
+                            ? item.productId
+                            : null) ||
+                          {};
+                        const qty = Number(item.quantity) || 0;
+                        const price = Number(item.unitPrice) || 0;
+                        const lineTotal =
+                          item.total ?? item.subtotal ?? qty * price;
+
+                        return (
+                          <tr
+                            key={item._id || index}
+                            style={{ borderBottom: "1px solid #f1f5f9" }}
+                          >
+                            <td className="px-6 py-4">
+                              <p
+                                className="text-sm font-medium"
+                                style={{ color: "#1e293b" }}
+                              >
+                                {item.productName ||
+                                  item.description ||
+                                  product.name ||
+                                  "Item"}
+                              </p>
+                              {(item.sku || product.sku) && (
+                                <p
+                                  className="text-xs font-mono"
+                                  style={{ color: "#94a3b8" }}
+                                >
+                                  {item.sku || product.sku}
+                                </p>
+                              )}
+                            </td>
+                            <td
+                              className="px-4 py-4 text-sm text-right"
+                              style={{ color: "#475569" }}
+                            >
+                              {qty}
+                            </td>
+                            <td
+                              className="px-4 py-4 text-sm text-right"
+                              style={{ color: "#475569" }}
+                            >
+                              {formatMoney(price, invoiceCurrency)}
+                            </td>
+                            <td
+                              className="px-6 py-4 text-sm font-semibold text-right"
+                              style={{ color: "#1e293b" }}
+                            >
+                              {formatMoney(lineTotal, invoiceCurrency)}
+                            </td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+
+                {/* Summary footer */}
+                <div
+                  className="px-6 py-4 border-t flex justify-end"
+                  style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+                >
+                  <div className="text-sm space-y-1.5 min-w-48">
+                    <div
+                      className="flex justify-between gap-8"
+                      style={{ color: "#64748b" }}
+                    >
+                      <span>Subtotal</span>
+                      <span className="font-medium" style={{ color: "#1e293b" }}>
+                        {formatMoney(subtotal, invoiceCurrency)}
+                      </span>
+                    </div>
+                    {discountTotal > 0 && (
+                      <div
+                        className="flex justify-between gap-8"
+                        style={{ color: "#64748b" }}
+                      >
+                        <span>Discounts</span>
+                        <span className="font-medium" style={{ color: "#16a34a" }}>
+                          −{formatMoney(discountTotal, invoiceCurrency)}
+                        </span>
+                      </div>
+                    )}
+                    <TaxBreakdown
+                      breakdown={taxBreakdown}
+                      includedTaxAmount={includedTaxAmount}
+                      currency={invoiceCurrency}
+                    />
+                    <div
+                      className="flex justify-between gap-8 pt-2 border-t"
+                      style={{ borderColor: "#e2e8f0" }}
+                    >
+                      <span className="font-semibold" style={{ color: "#1e293b" }}>
+                        Total
+                      </span>
+                      <span
+                        className="text-base font-bold"
+                        style={{ color: "#3B5CD4" }}
+                      >
+                        {formatMoney(totalAmount, invoiceCurrency)}
+                      </span>
+                    </div>
+                    {invoiceCurrency !== baseCurrency && (
+                      <div
+                        className="flex justify-between gap-8 text-xs"
+                        style={{ color: "#94a3b8" }}
+                      >
+                        <span>
+                          In {baseCurrency} (1 {invoiceCurrency} ={" "}
+                          {Number(exchangeRate) || 1} {baseCurrency})
+                        </span>
+                        <span>
+                          {formatMoney(toBaseAmount(totalAmount, exchangeRate))}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {/* Payment + status */}
+              <div
+                className="bg-white rounded-2xl shadow-sm p-6"
+                style={{ border: "1px solid #e2e8f0" }}
+              >
+                <h2 className="text-sm font-semibold mb-4" style={{ color: "#1e293b" }}>
+                  Payment
+                </h2>
+                <div className="grid gap-5 md:grid-cols-2 mb-5">
+                  <InfoRow
+                    label="Method"
+                    value={
+                      PAYMENT_METHOD_LABELS[invoice.paymentMethod] ||
+                      invoice.paymentMethod
+                    }
+                  />
+                  <InfoRow label="Paid On" value={formatDate(invoice.paymentDate)} />
+                </div>
+
+                <div
+                  className="flex flex-wrap items-center gap-2 pt-4 border-t"
+                  style={{ borderColor: "#f1f5f9" }}
+                >
+                  <span
+                    className="text-xs font-semibold uppercase tracking-widest mr-1"
+                    style={{ color: "#94a3b8" }}
+                  >
+                    Status
+                  </span>
+                  <select
+                    value={editingStatus}
+                    onChange={(e) => setEditingStatus(e.target.value)}
+                    className="rounded-lg px-3 py-2 text-sm focus:outline-none transition-all duration-150 appearance-none"
+                    style={{
+                      border: "1px solid #e2e8f0",
+                      background: "#f8fafc",
+                      color: "#475569",
+                      backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%2394a3b8'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'/%3E%3C/svg%3E")`,
+                      backgroundRepeat: "no-repeat",
+                      backgroundPosition: "right 10px center",
+                      backgroundSize: "14px",
+                      paddingRight: "32px",
+                    }}
+                  >
+                    <option value="draft">Draft</option>
+                    <option value="sent">Sent</option>
+                    <option value="paid">Paid</option>
+                    <option value="overdue">Overdue</option>
+                    <option value="cancelled">Cancelled</option>
+                  </select>
+
+                  {/* Payment method — only when status is 'paid' */}
+                  {editingStatus === "paid" && (
+                    <select
+                      value={editingPaymentMethod}
+                      onChange={(e) => setEditingPaymentMethod(e.target.value)}
+                      className="rounded-lg px-3 py-2 text-sm focus:outline-none transition-all duration-150 appearance-none"
+                      style={{
+                        border: "1px solid #bbf7d0",
+                        background: "#f0fdf4",
+                        color: "#16a34a",
+                        backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%2316a34a'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'/%3E%3C/svg%3E")`,
+                        backgroundRepeat: "no-repeat",
+                        backgroundPosition: "right 10px center",
+                        backgroundSize: "14px",
+                        paddingRight: "32px",
+                      }}
+                    >
+                      <option value="">Payment method…</option>
+                      {Object.entries(PAYMENT_METHOD_LABELS).map(
+                        ([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ),
+                      )}
+                    </select>
+                  )}
+
+                  <button
+                    type="button"
+                    onClick={handleSaveStatus}
+                    disabled={savingStatus || editingStatus === invoice.status}
+                    className="px-4 py-2 rounded-lg text-sm font-semibold text-white transition-all duration-150"
+                    style={{
+                      background:
+                        savingStatus || editingStatus === invoice.status
+                          ? "#93c5fd"
+                          : "#3B5CD4",
+                    }}
+                  >
+                    {savingStatus ? "Saving…" : "Update Status"}
+                  </button>
+                </div>
+              </div>
+
+              {/* Notes */}
+              {invoice.notes && (
+                <div
+                  className="bg-white rounded-2xl shadow-sm p-6"
+                  style={{ border: "1px solid #e2e8f0" }}
+                >
+                  <h2
+                    className="text-sm font-semibold mb-2"
+                    style={{ color: "#1e293b" }}
+                  >
+                    Notes
+                  </h2>
+                  <p
+                    className="text-sm whitespace-pre-line"
+                    style={{ color: "#475569" }}
+                  >
+                    {invoice.notes}
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* ── RIGHT: PDF viewer ────────────────────────────────────────── */}
+            <div
+              className="bg-white rounded-2xl shadow-sm overflow-hidden flex flex-col"
+              style={{ border: "1px solid #e2e8f0", minHeight: "720px" }}
+            >
+              <div
+                className="px-6 py-4 border-b flex items-center justify-between"
+                style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+              >
+                <h2 className="text-sm font-semibold" style={{ color: "#1e293b" }}>
+                  PDF Preview
+                </h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={handlePrint}
+                    disabled={!pdfUrl}
+                    className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
+                    style={{
+                      background: "rgba(59,92,212,0.08)",
+                      color: "#3B5CD4",
+                      border: "1px solid rgba(59,92,212,0.2)",
+                      opacity: pdfUrl ? 1 : 0.5,
+                    }}
+                  >
+                    <svg
+                      className="w-3 h-3"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z"
+                      />
+                    </svg>
+                    Print
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleDownload}
+                    disabled={!pdfBlob}
+                    className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
+                    style={{
+                      background: "rgba(51,184,51,0.1)",
+                      color: "#16a34a",
+                      border: "1px solid rgba(51,184,51,0.25)",
+                      opacity: pdfBlob ? 1 : 0.5,
+                    }}
+                  >
+                    <svg
+                      className="w-3 h-3"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                      />
+                    </svg>
+                    Download PDF
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex-1 flex">
+                {pdfLoading ? (
+                  <div
+                    className="flex-1 flex items-center justify-center text-sm"
+                    style={{ color: "#94a3b8" }}
+                  >
+                    Loading PDF…
+                  </div>
+                ) : pdfError ? (
+                  <div
+                    className="flex-1 flex items-center justify-center text-sm"
+                    style={{ color: "#dc2626" }}
+                  >
+                    {pdfError}
+                  </div>
+                ) : (
+                  <iframe
+                    ref={pdfFrameRef}
+                    src={pdfUrl}
+                    title={`Invoice ${invoice.invoiceNumber || id} PDF`}
+                    className="flex-1 w-full"
+                    style={{ border: "none", minHeight: "660px" }}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
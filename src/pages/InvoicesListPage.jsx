@@ -1,16 +1,47 @@
 import { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { invoiceApi } from "../api/invoiceApi";
+import { useAuth } from "../context/AuthContext.jsx";
+import { useSettings } from "../context/SettingsContext.jsx";
+import { hasRole, ROLES } from "../context/roles.js";
+import { downloadBlob } from "../utils/download.js";
+import { INVOICE_STATUS_STYLES } from "../utils/statusStyles.js";
+import useListQueryState from "../hooks/useListQueryState.js";
+import SortableHeader from "../components/SortableHeader.jsx";
+import ExportCsvButton from "../components/ExportCsvButton.jsx";
+import { csvFilename, downloadCsv, fetchAllPages } from "../utils/csv.js";
+
+// query-string keys sent as-is to GET /api/invoices
+const FILTER_KEYS = [
+  "status",
+  "search",
+  "startDate",
+  "endDate",
+  "minAmount",
+  "maxAmount",
+];
+
+// text / date / amount inputs are edited locally and applied on submit
+const DRAFT_KEYS = ["search", "startDate", "endDate", "minAmount", "maxAmount"];
 
 /**
  * InvoicesListPage
  *
  * PURPOSE:
  * - Show list of invoices (admin)
- * - Filter by status (draft/sent/paid/overdue/cancelled)
+ * - Filter by status, free-text search (number / customer name / email),
+ *   issue-date range and amount range — all sent to the backend
+ * - Sort by clicking a column header (sent as ?sort=&order= to the API)
+ * - Filters, sort and page live in the URL so a filtered view can be shared
+ * - Export every invoice matching the current filters as CSV
  * - Download invoice PDF
+ * - Open an invoice's detail / preview page
  */
 export default function InvoicesListPage() {
+  const { user } = useAuth();
+  const { currency, formatMoney } = useSettings();
+  const canDelete = hasRole(user, [ROLES.ADMIN]);
+
   const [invoices, setInvoices] = useState([]);
   const [pagination, setPagination] = useState({
     totalInvoices: 0,
@@ -19,13 +50,33 @@ export default function InvoicesListPage() {
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [statusFilter, setStatusFilter] = useState(""); // '' = All
+
+  // filters + page come from the query string
+  // newest first unless the user picks another column
+  const listQuery = useListQueryState(
+    { sort: "createdAt", order: "desc" },
+    DRAFT_KEYS,
+  );
+  const statusFilter = listQuery.values.status || ""; // '' = All
+  const filterInputs = listQuery.draft;
+
   const [downloadingId, setDownloadingId] = useState(null);
   const [successMessage, setSuccessMessage] = useState("");
   const [editingStatus, setEditingStatus] = useState({});
   const [savingStatusId, setSavingStatusId] = useState();
   const [editingPaymentMethod, setEditingPaymentMethod] = useState({});
   const [deletingId, setDeletingId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // filter + sort params shared by the table and the CSV export
+  const buildFilterParams = () => {
+    const params = { sort: listQuery.sort, order: listQuery.order };
+    FILTER_KEYS.forEach((key) => {
+      const value = listQuery.values[key];
+      if (value) params[key] = value;
+    });
+    return params;
+  };
 
   //fetch invoices from API
   const fetchInvoices = async (page = 1) => {
@@ -33,8 +84,7 @@ export default function InvoicesListPage() {
       setError("");
       setLoading(true);
 
-      const params = { page, limit: 10 };
-      // backend getInvoices doesn't use status yet, so we won't pass it here
+      const params = { ...buildFilterParams(), page, limit: 10 };
 
       const res = await invoiceApi.getInvoices(params);
       // expected: { invoices, pagination: { totalInvoices, currentPage, totalPages } }
@@ -68,13 +118,28 @@ export default function InvoicesListPage() {
     }
   };
 
+  //load on mount + whenever the query string changes
   useEffect(() => {
-    fetchInvoices(1);
-  }, []);
+    fetchInvoices(listQuery.page);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [listQuery.queryKey]);
 
   // Handlers //
   const handleStatusChange = (e) => {
-    setStatusFilter(e.target.value);
+    listQuery.setValues({ status: e.target.value });
+  };
+
+  const handleFilterInputChange = (e) => {
+    listQuery.setDraftValue(e.target.name, e.target.value);
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    listQuery.applyDraft();
+  };
+
+  const handleClearFilters = () => {
+    listQuery.clearValues();
   };
 
   const handleStatusSelectChange = (invoiceId, newStatus) => {
@@ -127,6 +192,60 @@ export default function InvoicesListPage() {
     }
   };
 
+  const handleExportCsv = async () => {
+    try {
+      setError("");
+      setSuccessMessage("");
+      setExporting(true);
+
+      const allInvoices = await fetchAllPages(async (page, limit) => {
+        const res = await invoiceApi.getInvoices({
+          ...buildFilterParams(),
+          page,
+          limit,
+        });
+        return {
+          list: res.data.invoices || [],
+          totalPages: res.data.pagination?.totalPages,
+        };
+      });
+
+      const isoDate = (value) =>
+        value ? new Date(value).toISOString().slice(0, 10) : "";
+
+      downloadCsv(
+        csvFilename("invoices"),
+        [
+          { header: "Invoice #", value: (inv) => inv.invoiceNumber },
+          {
+            header: "Issued",
+            value: (inv) => isoDate(inv.issueDate || inv.createdAt),
+          },
+          { header: "Due", value: (inv) => isoDate(inv.dueDate) },
+          { header: "Customer", value: (inv) => inv.customerName },
+          { header: "Email", value: (inv) => inv.customerEmail },
+          { header: "Status", value: (inv) => inv.status },
+          { header: "Subtotal", value: (inv) => inv.subtotal },
+          { header: "Tax %", value: (inv) => inv.taxPercentage },
+          { header: "Tax", value: (inv) => inv.taxAmount },
+          { header: "Total", value: (inv) => inv.totalAmount },
+          { header: "Currency", value: (inv) => inv.currency || currency },
+          { header: "Exchange Rate", value: (inv) => inv.exchangeRate ?? 1 },
+          { header: "Payment Method", value: (inv) => inv.paymentMethod },
+          { header: "Paid On", value: (inv) => isoDate(inv.paymentDate) },
+        ],
+        allInvoices,
+      );
+      setSuccessMessage(`Exported ${allInvoices.length} invoices to CSV.`);
+    } catch (err) {
+      console.error("Error exporting invoices:", err);
+      const msg = err.response?.data?.message || "Failed to export invoices.";
+      setError(msg);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleDeleteInvoice = async (invoice) => {
     const confirmed = window.confirm(
       `Delete invoice ${invoice.invoiceNumber}? This cannot be undone.`,
@@ -154,7 +273,7 @@ export default function InvoicesListPage() {
 
   const handlePageChange = (newPage) => {
     if (newPage < 1 || newPage > (pagination.totalPages || 1)) return;
-    fetchInvoices(newPage);
+    listQuery.setPage(newPage);
   };
 
   const handleDownloadPdf = async (invoice) => {
@@ -169,19 +288,10 @@ export default function InvoicesListPage() {
       const blob = new Blob([response.data], {
         type: "application/pdf",
       });
-      const url = window.URL.createObjectURL(blob);
-
-      // Create a temporary <a> element to trigger download
-      const link = document.createElement("a");
-      link.href = url;
-      link.download =
-        (invoice.invoiceNumber || `invoice-${invoice._id}`) + ".pdf";
-      document.body.appendChild(link);
-      link.click();
-
-      // Cleanup
-      link.remove();
-      window.URL.revokeObjectURL(url);
+      downloadBlob(
+        blob,
+        (invoice.invoiceNumber || `invoice-${invoice._id}`) + ".pdf",
+      );
 
       setSuccessMessage("Invoice PDF download started.");
     } catch (err) {
@@ -194,10 +304,7 @@ export default function InvoicesListPage() {
     }
   };
 
-  //filter invoices //
-  const visibleInvoices = statusFilter
-    ? invoices.filter((inv) => inv.status === statusFilter)
-    : invoices;
+  const hasActiveFilters = listQuery.hasActive(FILTER_KEYS);
 
   // Render //
   if (loading && invoices.length === 0) {
@@ -222,42 +329,45 @@ export default function InvoicesListPage() {
               Invoices
             </h1>
             <p className="text-sm mt-0.5" style={{ color: "#64748b" }}>
-              {visibleInvoices.length} invoice
-              {visibleInvoices.length !== 1 ? "s" : ""} found
+              {pagination.totalInvoices || 0} invoice
+              {pagination.totalInvoices !== 1 ? "s" : ""} found
             </p>
           </div>
-          <Link
-            to="/sales"
-            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
-            style={{
-              background: "#fff",
-              border: "1px solid #e2e8f0",
-              color: "#475569",
-            }}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.borderColor = "#3B5CD4";
-              e.currentTarget.style.color = "#3B5CD4";
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.borderColor = "#e2e8f0";
-              e.currentTarget.style.color = "#475569";
-            }}
-          >
-            <svg
-              className="w-4 h-4"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          <div className="flex items-center gap-2">
+            <ExportCsvButton onClick={handleExportCsv} exporting={exporting} />
+            <Link
+              to="/sales"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+              style={{
+                background: "#fff",
+                border: "1px solid #e2e8f0",
+                color: "#475569",
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.borderColor = "#3B5CD4";
+                e.currentTarget.style.color = "#3B5CD4";
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.borderColor = "#e2e8f0";
+                e.currentTarget.style.color = "#475569";
+              }}
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-              />
-            </svg>
-            View Sales
-          </Link>
+              <svg
+                className="w-4 h-4"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                />
+              </svg>
+              View Sales
+            </Link>
+          </div>
         </div>
 
         {/* Alerts */}
@@ -309,8 +419,9 @@ export default function InvoicesListPage() {
         )}
 
         {/* ── FILTERS ─────────────────────────────────────────────────────── */}
-        <div
-          className="bg-white rounded-2xl px-5 py-4 mb-5 flex items-center gap-4 shadow-sm"
+        <form
+          onSubmit={handleApplyFilters}
+          className="bg-white rounded-2xl px-5 py-4 mb-5 flex flex-wrap items-center gap-4 shadow-sm"
           style={{ border: "1px solid #e2e8f0" }}
         >
           <svg
@@ -333,6 +444,47 @@ export default function InvoicesListPage() {
           >
             Filter
           </span>
+
+          {/* Search */}
+          <div className="relative">
+            <svg
+              className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none"
+              style={{ color: "#94a3b8" }}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+              />
+            </svg>
+            <input
+              type="text"
+              name="search"
+              value={filterInputs.search}
+              onChange={handleFilterInputChange}
+              placeholder="Invoice #, customer name or email…"
+              className="rounded-lg pl-9 pr-4 py-2 text-sm focus:outline-none transition-all duration-150"
+              style={{
+                border: "1px solid #e2e8f0",
+                background: "#f8fafc",
+                color: "#1e293b",
+                width: "260px",
+              }}
+              onFocus={(e) => {
+                e.target.style.border = "1px solid #3B5CD4";
+                e.target.style.background = "#fff";
+              }}
+              onBlur={(e) => {
+                e.target.style.border = "1px solid #e2e8f0";
+                e.target.style.background = "#f8fafc";
+              }}
+            />
+          </div>
+
           <select
             value={statusFilter}
             onChange={handleStatusChange}
@@ -363,37 +515,71 @@ export default function InvoicesListPage() {
             <option value="cancelled">Cancelled</option>
           </select>
 
+          {/* Issue date range */}
+          <div className="flex items-center gap-2">
+            <span className="text-xs" style={{ color: "#94a3b8" }}>
+              Issued
+            </span>
+            {["startDate", "endDate"].map((name, i) => (
+              <input
+                key={name}
+                type="date"
+                name={name}
+                value={filterInputs[name]}
+                onChange={handleFilterInputChange}
+                aria-label={i === 0 ? "Issued from" : "Issued to"}
+                className="rounded-lg px-3 py-2 text-sm focus:outline-none transition-all duration-150"
+                style={{
+                  border: "1px solid #e2e8f0",
+                  background: "#f8fafc",
+                  color: "#475569",
+                }}
+              />
+            ))}
+          </div>
+
+          {/* Amount range */}
+          <div className="flex items-center gap-2">
+            <span className="text-xs" style={{ color: "#94a3b8" }}>
+              Amount
+            </span>
+            {["minAmount", "maxAmount"].map((name, i) => (
+              <input
+                key={name}
+                type="number"
+                min="0"
+                step="0.01"
+                name={name}
+                value={filterInputs[name]}
+                onChange={handleFilterInputChange}
+                placeholder={i === 0 ? "Min" : "Max"}
+                className="rounded-lg px-3 py-2 text-sm focus:outline-none transition-all duration-150"
+                style={{
+                  border: "1px solid #e2e8f0",
+                  background: "#f8fafc",
+                  color: "#1e293b",
+                  width: "96px",
+                }}
+              />
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            className="rounded-lg px-4 py-2 text-sm font-semibold text-white transition-all duration-150"
+            style={{ background: "#3B5CD4", border: "1px solid #3B5CD4" }}
+            onMouseEnter={(e) => (e.currentTarget.style.background = "#2d4ab0")}
+            onMouseLeave={(e) => (e.currentTarget.style.background = "#3B5CD4")}
+          >
+            Apply
+          </button>
+
           {/* Active filter pill */}
           {statusFilter &&
             (() => {
-              const filterStyles = {
-                paid: {
-                  bg: "rgba(51,184,51,0.1)",
-                  color: "#16a34a",
-                  dot: "#33B833",
-                },
-                cancelled: {
-                  bg: "rgba(239,68,68,0.1)",
-                  color: "#dc2626",
-                  dot: "#ef4444",
-                },
-                overdue: {
-                  bg: "rgba(234,88,12,0.1)",
-                  color: "#c2410c",
-                  dot: "#f97316",
-                },
-                sent: {
-                  bg: "rgba(59,92,212,0.1)",
-                  color: "#3B5CD4",
-                  dot: "#3B5CD4",
-                },
-                draft: {
-                  bg: "rgba(100,116,139,0.1)",
-                  color: "#475569",
-                  dot: "#94a3b8",
-                },
-              };
-              const s = filterStyles[statusFilter] || filterStyles.draft;
+              const s =
+                INVOICE_STATUS_STYLES[statusFilter] ||
+                INVOICE_STATUS_STYLES.draft;
               return (
                 <span
                   className="flex items-center gap-1.5 text-xs font-medium px-3 py-1 rounded-full"
@@ -407,14 +593,27 @@ export default function InvoicesListPage() {
                 </span>
               );
             })()}
-        </div>
+
+          {hasActiveFilters && (
+            <button
+              type="button"
+              onClick={handleClearFilters}
+              className="text-xs font-medium transition-colors duration-150"
+              style={{ color: "#94a3b8" }}
+              onMouseEnter={(e) => (e.currentTarget.style.color = "#ef4444")}
+              onMouseLeave={(e) => (e.currentTarget.style.color = "#94a3b8")}
+            >
+              Clear filters
+            </button>
+          )}
+        </form>
 
         {/* ── TABLE ───────────────────────────────────────────────────────── */}
         <div
           className="bg-white rounded-2xl shadow-sm overflow-hidden"
           style={{ border: "1px solid #e2e8f0" }}
         >
-          {visibleInvoices.length === 0 ? (
+          {invoices.length === 0 ? (
             <div className="py-16 text-center">
               <svg
                 className="w-10 h-10 mx-auto mb-3"
@@ -447,42 +646,50 @@ export default function InvoicesListPage() {
                     borderBottom: "1px solid #e2e8f0",
                   }}
                 >
-                  <th
-                    className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Invoice #
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Customer
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Email
-                  </th>
-                  <th
-                    className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Total
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Status
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Created
-                  </th>
+                  <SortableHeader
+                    label="Invoice #"
+                    field="invoiceNumber"
+                    className="px-6 py-3"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Customer"
+                    field="customerName"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Email"
+                    field="customerEmail"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Total"
+                    field="totalAmount"
+                    align="right"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Status"
+                    field="status"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Created"
+                    field="createdAt"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
                   <th
                     className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest"
                     style={{ color: "#94a3b8" }}
@@ -492,7 +699,7 @@ export default function InvoicesListPage() {
                 </tr>
               </thead>
               <tbody>
-                {visibleInvoices.map((inv) => {
+                {invoices.map((inv) => {
                   const date = inv.createdAt ? new Date(inv.createdAt) : null;
                   const formattedDate = date ? date.toLocaleDateString() : "—";
 
@@ -542,7 +749,13 @@ export default function InvoicesListPage() {
                         className="px-6 py-4 text-sm font-mono font-medium"
                         style={{ color: "#3B5CD4" }}
                       >
-                        {inv.invoiceNumber}
+                        <Link
+                          to={`/invoices/${inv._id}`}
+                          className="hover:underline"
+                          style={{ color: "#3B5CD4" }}
+                        >
+                          {inv.invoiceNumber}
+                        </Link>
                       </td>
 
                       {/* Customer */}
@@ -566,7 +779,7 @@ export default function InvoicesListPage() {
                         className="px-4 py-4 text-sm font-semibold text-right"
                         style={{ color: "#1e293b" }}
                       >
-                        ${Number(inv.totalAmount || 0).toFixed(2)}
+                        {formatMoney(inv.totalAmount, inv.currency)}
                       </td>
 
                       {/* Status badge + editor */}
@@ -785,79 +998,81 @@ export default function InvoicesListPage() {
                             </>
                           )}
                         </button>
-                        {/* Delete button */}
-                        <button
-                          type="button"
-                          onClick={() => handleDeleteInvoice(inv)}
-                          disabled={deletingId === inv._id}
-                          className="inline-flex items-center gap-1.5 ml-2 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
-                          style={{
-                            background:
-                              deletingId === inv._id
-                                ? "rgba(239,68,68,0.07)"
-                                : "rgba(239,68,68,0.08)",
-                            color: "#dc2626",
-                            border: "1px solid rgba(239,68,68,0.3)",
-                          }}
-                          onMouseEnter={(e) => {
-                            if (deletingId !== inv._id) {
-                              e.currentTarget.style.background =
-                                "rgba(239,68,68,0.18)";
-                              e.currentTarget.style.borderColor =
-                                "rgba(239,68,68,0.6)";
-                            }
-                          }}
-                          onMouseLeave={(e) => {
-                            if (deletingId !== inv._id) {
-                              e.currentTarget.style.background =
-                                "rgba(239,68,68,0.08)";
-                              e.currentTarget.style.borderColor =
-                                "rgba(239,68,68,0.3)";
-                            }
-                          }}
-                        >
-                          {deletingId === inv._id ? (
-                            <>
-                              <svg
-                                className="w-3 h-3 animate-spin"
-                                fill="none"
-                                viewBox="0 0 24 24"
-                              >
-                                <circle
-                                  className="opacity-25"
-                                  cx="12"
-                                  cy="12"
-                                  r="10"
+                        {/* Delete button (admin only) */}
+                        {canDelete && (
+                          <button
+                            type="button"
+                            onClick={() => handleDeleteInvoice(inv)}
+                            disabled={deletingId === inv._id}
+                            className="inline-flex items-center gap-1.5 ml-2 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
+                            style={{
+                              background:
+                                deletingId === inv._id
+                                  ? "rgba(239,68,68,0.07)"
+                                  : "rgba(239,68,68,0.08)",
+                              color: "#dc2626",
+                              border: "1px solid rgba(239,68,68,0.3)",
+                            }}
+                            onMouseEnter={(e) => {
+                              if (deletingId !== inv._id) {
+                                e.currentTarget.style.background =
+                                  "rgba(239,68,68,0.18)";
+                                e.currentTarget.style.borderColor =
+                                  "rgba(239,68,68,0.6)";
+                              }
+                            }}
+                            onMouseLeave={(e) => {
+                              if (deletingId !== inv._id) {
+                                e.currentTarget.style.background =
+                                  "rgba(239,68,68,0.08)";
+                                e.currentTarget.style.borderColor =
+                                  "rgba(239,68,68,0.3)";
+                              }
+                            }}
+                          >
+                            {deletingId === inv._id ? (
+                              <>
+                                <svg
+                                  className="w-3 h-3 animate-spin"
+                                  fill="none"
+                                  viewBox="0 0 24 24"
+                                >
+                                  <circle
+                                    className="opacity-25"
+                                    cx="12"
+                                    cy="12"
+                                    r="10"
+                                    stroke="currentColor"
+                                    strokeWidth="4"
+                                  />
+                                  <path
+                                    className="opacity-75"
+                                    fill="currentColor"
+                                    d="M4 12a8 8 0 018-8v8z"
+                                  />
+                                </svg>
+                                Deleting…
+                              </>
+                            ) : (
+                              <>
+                                <svg
+                                  className="w-3 h-3"
+                                  fill="none"
                                   stroke="currentColor"
-                                  strokeWidth="4"
-                                />
-                                <path
-                                  className="opacity-75"
-                                  fill="currentColor"
-                                  d="M4 12a8 8 0 018-8v8z"
-                                />
-                              </svg>
-                              Deleting…
-                            </>
-                          ) : (
-                            <>
-                              <svg
-                                className="w-3 h-3"
-                                fill="none"
-                                stroke="currentColor"
-                                viewBox="0 0 24 24"
-                              >
-                                <path
-                                  strokeLinecap="round"
-                                  strokeLinejoin="round"
-                                  strokeWidth={2}
-                                  d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5-3h4m-7 3h10"
-                                />
-                              </svg>
-                              Delete
-                            </>
-                          )}
-                        </button>
+                                  viewBox="0 0 24 24"
+                                >
+                                  <path
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                    strokeWidth={2}
+                                    d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5-3h4m-7 3h10"
+                                  />
+                                </svg>
+                                Delete
+                              </>
+                            )}
+                          </button>
+                        )}
                       </td>
                     </tr>
                   );
@@ -18,7 +18,7 @@ export default function LoginPage() {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState("");
 
-  const { login } = useAuth();
+  const { login, sessionExpired } = useAuth();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
@@ -83,6 +83,16 @@ export default function LoginPage() {
           <h1 className="text-2xl font-bold text-white mb-1">Welcome back</h1>
           <p className="text-sm mb-8" style={{ color: '#7ea8d4' }}>Sign in to your account to continue</p>
 
+          {sessionExpired && !error && (
+            <div className="mb-6 rounded-lg px-4 py-3 text-sm flex items-center gap-2"
+              style={{ background: 'rgba(245,158,11,0.12)', border: '1px solid rgba(245,158,11,0.3)', color: '#fcd34d' }}>
+              <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+              </svg>
+              Your session has expired. Please sign in again.
+            </div>
+          )}
+
           {error && (
             <div className="mb-6 rounded-lg px-4 py-3 text-sm flex items-center gap-2"
               style={{ background: 'rgba(229,57,53,0.15)', border: '1px solid rgba(229,57,53,0.3)', color: '#ff8a80' }}>
@@ -0,0 +1,209 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { dashboardApi } from '../api/dashboardApi.js';
+import useListQueryState from '../hooks/useListQueryState.js';
+import useSuppliers from '../hooks/useSuppliers.js';
+import { reorderQuantity } from '../utils/purchaseOrder.js';
+import { supplierIdOf } from '../utils/productSchema.js';
+
+/**
+ * LowStockPage
+ *
+ * Products at or below their minimum stock (/products/low-stock)
+ * - compares each product to its own minStock, or to a global
+ *   threshold entered on the page (?threshold=, kept in the URL)
+ * - shortfall, suggested reorder quantity and supplier per product
+ * - quick restock actions: adjust stock, or reorder from the supplier
+ */
+export default function LowStockPage() {
+  const listQuery = useListQueryState({ threshold: '' }, ['threshold']);
+  const thresholdValue = listQuery.values.threshold;
+  const threshold = thresholdValue !== '' && !isNaN(Number(thresholdValue)) ? Number(thresholdValue) : null;
+
+  const { suppliers } = useSuppliers();
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchLowStock = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const res = await dashboardApi.getLowStock(threshold);
+      setProducts(res.data.data || []);
+    } catch (err) {
+      console.error('Error fetching low stock products:', err);
+      setError(err.response?.data?.message || 'Failed to load low stock products');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLowStock();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [listQuery.queryKey]);
+
+  const supplierOf = (product) => {
+    const id = supplierIdOf(product.supplier, suppliers);
+    return id ? { id, name: product.supplier?.name || suppliers.find((s) => s._id === id)?.name || 'Supplier' } : null;
+  };
+
+  const rows = products
+    .map((product) => {
+      const limit = threshold ?? product.minStock;
+      return {
+        product,
+        limit,
+        shortfall: Math.max(limit - product.stock, 0),
+        supplier: supplierOf(product),
+      };
+    })
+    .sort((a, b) => b.shortfall - a.shortfall || a.product.stock - b.product.stock);
+
+  const handleThresholdSubmit = (e) => {
+    e.preventDefault();
+    listQuery.applyDraft();
+  };
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Low Stock</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {rows.length} product{rows.length !== 1 ? 's' : ''} at or below{' '}
+              {threshold === null ? 'their own minimum stock' : `${threshold} units`}
+            </p>
+          </div>
+          {rows.length > 0 && (
+            <Link
+              to="/purchase-orders/new?reorder=1"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+              style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+              onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+              onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+              Reorder Low Stock
+            </Link>
+          )}
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {/* ── THRESHOLD ───────────────────────────────────────────────────── */}
+        <form onSubmit={handleThresholdSubmit}
+          className="bg-white rounded-2xl px-5 py-4 mb-5 flex flex-wrap items-center gap-3 shadow-sm"
+          style={{ border: '1px solid #e2e8f0' }}>
+          <span className="text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Compare with</span>
+          <input
+            type="number"
+            min="0"
+            value={listQuery.draft.threshold}
+            onChange={e => listQuery.setDraftValue('threshold', e.target.value)}
+            placeholder="each product's min. stock"
+            className="rounded-xl px-4 py-2 text-sm focus:outline-none"
+            style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b', width: '220px' }}
+          />
+          <button type="submit"
+            className="px-4 py-2 rounded-xl text-sm font-semibold text-white"
+            style={{ background: '#3B5CD4' }}>
+            Apply
+          </button>
+          {threshold !== null && (
+            <button type="button"
+              onClick={() => listQuery.setValues({ threshold: '' })}
+              className="px-4 py-2 rounded-xl text-sm font-medium"
+              style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}>
+              Use each product's minimum
+            </button>
+          )}
+        </form>
+
+        {/* ── TABLE ───────────────────────────────────────────────────────── */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+          {loading && products.length === 0 ? (
+            <p className="py-16 text-center text-sm" style={{ color: '#64748b' }}>Loading low stock products…</p>
+          ) : rows.length === 0 ? (
+            <div className="py-16 text-center">
+              <p className="text-sm font-medium" style={{ color: '#16a34a' }}>All products sufficiently stocked</p>
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Supplier</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>
+                    {threshold === null ? 'Min' : 'Threshold'}
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Shortfall</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Suggested</th>
+                  <th className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ product, limit, shortfall, supplier }) => (
+                  <tr key={product._id} style={{ borderBottom: '1px solid #f1f5f9', background: product.stock === 0 ? '#fff8f8' : 'transparent' }}>
+                    <td className="px-6 py-4">
+                      <Link to={`/products/edit/${product._id}`} className="block font-medium" style={{ color: '#1e293b' }}>{product.name}</Link>
+                      <span className="block text-xs font-mono" style={{ color: '#94a3b8' }}>{product.sku}</span>
+                    </td>
+                    <td className="px-4 py-4">
+                      {supplier ? (
+                        <Link to={`/suppliers/${supplier.id}`} style={{ color: '#3B5CD4' }}>{supplier.name}</Link>
+                      ) : (
+                        <span style={{ color: '#cbd5e1' }}>—</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 text-right font-semibold" style={{ color: '#dc2626' }}>{product.stock}</td>
+                    <td className="px-4 py-4 text-right" style={{ color: '#475569' }}>{limit}</td>
+                    <td className="px-4 py-4 text-right font-semibold" style={{ color: shortfall > 0 ? '#dc2626' : '#b45309' }}>
+                      {shortfall}
+                    </td>
+                    <td className="px-4 py-4 text-right" style={{ color: '#475569' }}>{reorderQuantity(product)}</td>
+                    <td className="px-4 py-4">
+                      <div className="flex items-center justify-center gap-2">
+                        <Link
+                          to={`/products/${product._id}/stock`}
+                          className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                          style={{ background: '#f8fafc', color: '#475569', border: '1px solid #e2e8f0' }}>
+                          Adjust
+                        </Link>
+                        {supplier && (
+                          <Link
+                            to={`/purchase-orders/new?reorder=1&supplier=${supplier.id}`}
+                            className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                            style={{ background: 'rgba(59,92,212,0.08)', color: '#3B5CD4', border: '1px solid rgba(59,92,212,0.15)' }}>
+                            Reorder
+                          </Link>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
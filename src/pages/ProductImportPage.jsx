@@ -0,0 +1,462 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { productApi } from '../api/productApi.js';
+import { PRODUCT_FIELDS, validateProduct, toProductPayload } from '../utils/productSchema.js';
+import useSuppliers from '../hooks/useSuppliers.js';
+import { csvFilename, downloadCsv, fetchAllPages, parseCsv } from '../utils/csv.js';
+
+// product fields that can be mapped from a CSV column
+const IMPORT_FIELDS = PRODUCT_FIELDS.map(({ key, label, errorLabel, required }) => ({
+  key,
+  label: errorLabel || label,
+  required: Boolean(required),
+}));
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// pick the CSV column whose header matches the field name (case / spacing ignored)
+const guessMapping = (headers) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map(({ key, label }) => {
+      const index = headers.findIndex(
+        (h) => normalizeHeader(h) === normalizeHeader(key) || normalizeHeader(h) === normalizeHeader(label)
+      );
+      return [key, index >= 0 ? String(index) : ''];
+    })
+  );
+
+const ACTION_STYLES = {
+  create: { bg: 'rgba(51,184,51,0.1)', color: '#16a34a', label: 'Create' },
+  update: { bg: 'rgba(59,92,212,0.1)', color: '#3B5CD4', label: 'Update' },
+  skip: { bg: 'rgba(100,116,139,0.1)', color: '#475569', label: 'Skip' },
+  error: { bg: 'rgba(239,68,68,0.1)', color: '#dc2626', label: 'Error' },
+};
+
+/**
+ * ProductImportPage
+ *
+ * Bulk-create / update products from a CSV file.
+ *
+ * 1. upload a CSV and map its columns to product fields
+ * 2. preview: every row is validated with the ProductForm rules,
+ *    duplicate SKUs in the file and SKUs already in the catalog are flagged
+ * 3. import valid rows one by one (create, or update existing SKUs)
+ *    with a progress bar; updates only touch the mapped, non-empty cells
+ *    and stock changes go through a count adjustment so they hit the ledger
+ * 4. download an error report of the rows that were not imported
+ */
+export default function ProductImportPage() {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [existingBySku, setExistingBySku] = useState({});
+  const [updateExisting, setUpdateExisting] = useState(true);
+
+  const [loadingFile, setLoadingFile] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const { suppliers } = useSuppliers();
+
+  // load the current catalog so SKU collisions can be shown up front
+  const loadCatalog = async () => {
+    const catalog = await fetchAllPages(async (page, limit) => {
+      const res = await productApi.getProducts({ page, limit });
+      return {
+        list: res.data.data || [],
+        totalPages: res.data.pagination?.totalPages || Math.ceil((res.data.total || 0) / limit),
+      };
+    });
+    setExistingBySku(
+      Object.fromEntries(catalog.map((p) => [String(p.sku).trim().toUpperCase(), p]))
+    );
+  };
+
+  // Handlers //
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError('');
+    setResult(null);
+    setLoadingFile(true);
+
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.length < 2) {
+        throw new Error('The file needs a header row and at least one product row.');
+      }
+
+      await loadCatalog();
+
+      const [headerRow, ...dataRows] = parsed;
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessMapping(headerRow));
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      const msg = err.response?.data?.message || err.message || 'Failed to read CSV file';
+      setError(msg);
+    } finally {
+      setLoadingFile(false);
+      // allow re-selecting the same file after fixing it
+      e.target.value = '';
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping((prev) => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  // Preview //
+  const skuCounts = {};
+  const mappedRows = rows.map((cells, index) => {
+    const form = Object.fromEntries(
+      IMPORT_FIELDS.map(({ key }) => [key, mapping[key] === '' || mapping[key] === undefined ? '' : (cells[Number(mapping[key])] ?? '').trim()])
+    );
+    const skuKey = form.sku.toUpperCase();
+    if (skuKey) skuCounts[skuKey] = (skuCounts[skuKey] || 0) + 1;
+    return { rowNumber: index + 2, cells, form, skuKey };
+  });
+
+  const supplierIdByName = Object.fromEntries(
+    suppliers.map((supplier) => [supplier.name.trim().toLowerCase(), supplier._id])
+  );
+
+  const preview = mappedRows.map((row) => {
+    const errors = validateProduct(row.form);
+    if (row.skuKey && skuCounts[row.skuKey] > 1) {
+      errors.sku = `SKU ${row.form.sku} appears more than once in this file`;
+    }
+    // the CSV holds supplier names; products reference the supplier id
+    const supplierId = row.form.supplier ? supplierIdByName[row.form.supplier.toLowerCase()] : '';
+    if (row.form.supplier && !supplierId) {
+      errors.supplier = `Supplier "${row.form.supplier}" not found`;
+    }
+    const existing = existingBySku[row.skuKey];
+
+    let action = 'create';
+    if (Object.keys(errors).length > 0) action = 'error';
+    else if (existing) action = updateExisting ? 'update' : 'skip';
+
+    return { ...row, errors, existing, action, supplierId };
+  });
+
+  const counts = preview.reduce((acc, row) => {
+    acc[row.action] = (acc[row.action] || 0) + 1;
+    return acc;
+  }, {});
+  const importable = preview.filter((row) => row.action === 'create' || row.action === 'update');
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && !mapping[f.key]);
+
+  // Import //
+  const handleImport = async () => {
+    setError('');
+    setResult(null);
+    setImporting(true);
+    setProgress({ done: 0, total: importable.length });
+
+    const failed = [];
+    let created = 0;
+    let updated = 0;
+
+    // sequential, so the progress bar is meaningful and the API isn't flooded
+    for (const [i, row] of importable.entries()) {
+      const payload = toProductPayload({ ...row.form, supplier: row.supplierId });
+
+      try {
+        if (row.action === 'update') {
+          // unmapped / empty cells keep the product's current values instead of the defaults
+          const changes = Object.fromEntries(
+            Object.entries(payload).filter(([key]) => key !== 'stock' && row.form[key] !== '')
+          );
+          await productApi.updateProduct(row.existing._id, changes);
+
+          if (row.form.stock !== '' && payload.stock !== row.existing.stock) {
+            await productApi.adjustStock(row.existing._id, {
+              type: 'count',
+              quantity: payload.stock,
+              reason: 'Data entry fix',
+              note: `CSV import (${fileName}, row ${row.rowNumber})`,
+            });
+          }
+          updated += 1;
+        } else {
+          await productApi.createProduct(payload);
+          created += 1;
+        }
+      } catch (err) {
+        console.error(`Error importing row ${row.rowNumber}:`, err);
+        failed.push({ ...row, serverError: err.response?.data?.message || 'Request failed' });
+      }
+      setProgress({ done: i + 1, total: importable.length });
+    }
+
+    setResult({ created, updated, failed });
+
+    // created rows now exist in the catalog; refresh so a second run updates them
+    try {
+      await loadCatalog();
+    } catch (err) {
+      console.error('Error refreshing catalog after import:', err);
+    }
+    setImporting(false);
+  };
+
+  // rows with validation errors + rows the backend rejected
+  const handleDownloadErrorReport = () => {
+    const invalidRows = preview
+      .filter((row) => row.action === 'error')
+      .map((row) => ({ ...row, message: Object.values(row.errors).join('; ') }));
+    const failedRows = (result?.failed || []).map((row) => ({ ...row, message: row.serverError }));
+
+    downloadCsv(
+      csvFilename('product-import-errors'),
+      [
+        { header: 'Row', value: (row) => row.rowNumber },
+        ...headers.map((header, index) => ({ header, value: (row) => row.cells[index] })),
+        { header: 'Error', value: (row) => row.message },
+      ],
+      [...invalidRows, ...failedRows].sort((a, b) => a.rowNumber - b.rowNumber)
+    );
+  };
+
+  const handleDownloadTemplate = () => {
+    downloadCsv('product-import-template.csv', IMPORT_FIELDS.map(({ key }) => ({ header: key, value: () => '' })), []);
+  };
+
+  const errorReportCount = (counts.error || 0) + (result?.failed.length || 0);
+  const progressPct = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  // RENDER //
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Import Products</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>Create or update products in bulk from a CSV file</p>
+          </div>
+          <Link
+            to="/products"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Products
+          </Link>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {result && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            Import finished: {result.created} created, {result.updated} updated
+            {result.failed.length > 0 && <>, <span style={{ color: '#dc2626' }}>{result.failed.length} failed</span></>}.
+          </div>
+        )}
+
+        <div className="space-y-6">
+
+          {/* ── 1. FILE ─────────────────────────────────────────────────────── */}
+          <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>1. Choose a CSV file</h2>
+              <button type="button" onClick={handleDownloadTemplate}
+                className="text-xs font-medium hover:underline" style={{ color: '#3B5CD4' }}>
+                Download template
+              </button>
+            </div>
+            <div className="p-6 flex items-center gap-4">
+              <label
+                className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white cursor-pointer transition-all duration-150"
+                style={{ background: loadingFile || importing ? '#93c5fd' : '#3B5CD4' }}>
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                {loadingFile ? 'Reading file…' : 'Select CSV'}
+                <input type="file" accept=".csv,text/csv" className="hidden"
+                  onChange={handleFileChange} disabled={loadingFile || importing} />
+              </label>
+              <p className="text-sm" style={{ color: '#64748b' }}>
+                {fileName ? <><span className="font-medium" style={{ color: '#1e293b' }}>{fileName}</span> · {rows.length} rows</> : 'The first row must contain column headers.'}
+              </p>
+            </div>
+          </div>
+
+          {headers.length > 0 && (
+            <>
+              {/* ── 2. COLUMN MAPPING ───────────────────────────────────────── */}
+              <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+                <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                  <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>2. Map columns</h2>
+                </div>
+                <div className="p-6 grid gap-5 md:grid-cols-3">
+                  {IMPORT_FIELDS.map(({ key, label, required }) => (
+                    <div key={key}>
+                      <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                        {label} {required ? <span style={{ color: '#ef4444' }}>*</span> : <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>}
+                      </label>
+                      <select
+                        value={mapping[key] ?? ''}
+                        onChange={(e) => handleMappingChange(key, e.target.value)}
+                        className="w-full rounded-xl px-3 py-2.5 text-sm focus:outline-none"
+                        style={{
+                          border: required && !mapping[key] ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                          background: required && !mapping[key] ? '#fef2f2' : '#f8fafc',
+                          color: '#1e293b',
+                        }}>
+                        <option value="">— Not mapped —</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={String(index)}>{header || `Column ${index + 1}`}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* ── 3. PREVIEW ──────────────────────────────────────────────── */}
+              <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+                <div className="px-6 py-4 border-b flex flex-wrap items-center justify-between gap-3" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <h2 className="text-sm font-semibold mr-2" style={{ color: '#1e293b' }}>3. Review</h2>
+                    {Object.entries(ACTION_STYLES).map(([action, style]) =>
+                      counts[action] ? (
+                        <span key={action} className="text-xs px-2 py-0.5 rounded-full font-medium"
+                          style={{ background: style.bg, color: style.color }}>
+                          {counts[action]} {style.label.toLowerCase()}
+                        </span>
+                      ) : null
+                    )}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm" style={{ color: '#475569' }}>
+                    <input type="checkbox" checked={updateExisting}
+                      onChange={(e) => setUpdateExisting(e.target.checked)} />
+                    Update products whose SKU already exists
+                  </label>
+                </div>
+
+                {missingRequired.length > 0 && (
+                  <div className="mx-6 mt-4 rounded-lg px-4 py-2 text-xs"
+                    style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+                    Map the required columns first: {missingRequired.map((f) => f.label).join(', ')}
+                  </div>
+                )}
+
+                <div className="overflow-auto" style={{ maxHeight: '420px' }}>
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0">
+                      <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                        <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Row</th>
+                        <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>SKU</th>
+                        <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Name</th>
+                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Price</th>
+                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock</th>
+                        <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Action</th>
+                        <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Problems</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.map((row) => {
+                        const style = ACTION_STYLES[row.action];
+                        return (
+                          <tr key={row.rowNumber} style={{ borderBottom: '1px solid #f1f5f9', background: row.action === 'error' ? '#fffafa' : 'transparent' }}>
+                            <td className="px-6 py-3 text-xs font-mono" style={{ color: '#94a3b8' }}>{row.rowNumber}</td>
+                            <td className="px-4 py-3 text-xs font-mono" style={{ color: '#3B5CD4' }}>{row.form.sku || '—'}</td>
+                            <td className="px-4 py-3" style={{ color: '#1e293b' }}>{row.form.name || '—'}</td>
+                            <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{row.form.price || '—'}</td>
+                            <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{row.form.stock || '—'}</td>
+                            <td className="px-4 py-3">
+                              <span className="text-xs font-semibold px-2 py-0.5 rounded-full"
+                                style={{ background: style.bg, color: style.color }}>
+                                {style.label}
+                              </span>
+                            </td>
+                            <td className="px-6 py-3 text-xs" style={{ color: '#dc2626' }}>
+                              {Object.values(row.errors).join('; ')}
+                              {row.action !== 'error' && row.existing && (
+                                <span style={{ color: '#64748b' }}>
+                                  SKU already exists ({row.existing.name})
+                                </span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* ── 4. IMPORT ─────────────────────────────────────────────── */}
+                <div className="px-6 py-4 border-t space-y-3" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                  {(importing || progress.total > 0) && (
+                    <div>
+                      <div className="flex justify-between text-xs mb-1" style={{ color: '#64748b' }}>
+                        <span>{importing ? 'Importing…' : 'Done'}</span>
+                        <span>{progress.done} / {progress.total}</span>
+                      </div>
+                      <div className="h-2 rounded-full overflow-hidden" style={{ background: '#e2e8f0' }}>
+                        <div className="h-full rounded-full transition-all duration-200"
+                          style={{ width: `${progressPct}%`, background: 'linear-gradient(90deg, #3B5CD4, #3A96D4)' }} />
+                      </div>
+                    </div>
+                  )}
+                  <div className="flex items-center justify-end gap-2">
+                    {errorReportCount > 0 && (
+                      <button
+                        type="button"
+                        onClick={handleDownloadErrorReport}
+                        disabled={importing}
+                        className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+                        style={{ background: '#fff', border: '1px solid #fecaca', color: '#dc2626' }}>
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                        </svg>
+                        Error report ({errorReportCount})
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={handleImport}
+                      disabled={importing || importable.length === 0 || missingRequired.length > 0}
+                      className="flex items-center gap-2 px-6 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                      style={{
+                        background: importing || importable.length === 0 || missingRequired.length > 0 ? '#86efac' : '#33B833',
+                        boxShadow: importing ? 'none' : '0 2px 12px rgba(51,184,51,0.35)',
+                      }}>
+                      {importing ? `Importing ${progress.done}/${progress.total}…` : `Import ${importable.length} product${importable.length !== 1 ? 's' : ''}`}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,6 +1,16 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { productApi } from '../api/productApi.js';
+import { useAuth } from '../context/AuthContext.jsx';
+import { hasRole, ROLES } from '../context/roles.js';
+import useListQueryState from '../hooks/useListQueryState.js';
+import useCategories from '../hooks/useCategories.js';
+import useSuppliers from '../hooks/useSuppliers.js';
+import SortableHeader from '../components/SortableHeader.jsx';
+import ExportCsvButton from '../components/ExportCsvButton.jsx';
+import { csvFilename, downloadCsv, fetchAllPages } from '../utils/csv.js';
+import { PRODUCT_FIELDS, supplierIdOf } from '../utils/productSchema.js';
+import { useSettings } from '../context/SettingsContext.jsx';
 
 /**
  * ProductListPage
@@ -10,33 +20,70 @@ import { productApi } from '../api/productApi.js';
  * Features:
  * - Search by product name or SKU
  * - Filter by category
+ * - Filter by supplier, with its product count and stock value
+ * - Sort by clicking a column header (?sort=&order=)
+ * - Paginated, with a selectable page size (10/25/50/100)
+ * - search, category, supplier, sort, page and page size are kept in the URL
+ * - Export every product matching the current filters as CSV
+ * - Link to the bulk CSV import screen
  * - Highlight low-stock products
- * - Links to create-edit products
+ * - Links to create-edit products and to each product's stock history
  */
+const PAGE_SIZES = [10, 25, 50, 100];
+
 export default function ProductsListPage() {
+    const { formatMoney } = useSettings();
     const navigate = useNavigate();
+    const { user } = useAuth();
+    const canDelete = hasRole(user, [ROLES.ADMIN]);
 
     // State
+    const { names: categoryNames } = useCategories();
+    const { suppliers } = useSuppliers();
     const [products, setProducts] = useState([]);
+    const [pagination, setPagination] = useState({
+        totalProducts: 0,
+        currentPage: 1,
+        totalPages: 1,
+    });
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
-    const [searchInput, setSearchInput] = useState('');
-    const [searchQuery, setSearchQuery] = useState('');
-    const [categoryFilter, setCategoryFilter] = useState('');
+    const [exporting, setExporting] = useState(false);
+    // alphabetical by name unless the user picks another column
+    const listQuery = useListQueryState({ sort: 'name', order: 'asc', limit: '10' }, ['search']);
+    const pageSize = Number(listQuery.values.limit) || 10;
+    const searchInput = listQuery.draft.search;
+    const searchQuery = listQuery.values.search || '';
+    const categoryFilter = listQuery.values.category || '';
+    const supplierFilter = listQuery.values.supplier || '';
+    const activeSupplier = suppliers.find((s) => s._id === supplierFilter);
 
     //fetch products from the backend
+    const buildFilterParams = () => {
+        const params = { sort: listQuery.sort, order: listQuery.order };
+        if (searchQuery.trim()) params.search = searchQuery.trim();
+        if (categoryFilter) params.category = categoryFilter;
+        if (supplierFilter) params.supplier = supplierFilter;
+        return params;
+    };
+
     const fetchProducts = async () => {
         try {
             setError('');
             setLoading(true);
 
-            const params = {};
-            if (searchQuery.trim()) params.search = searchQuery.trim();
-            if (categoryFilter) params.category = categoryFilter;
+            const params = { ...buildFilterParams(), page: listQuery.page, limit: pageSize };
 
             const res = await productApi.getProducts(params);
 
-            setProducts(res.data.data || []);
+            // expected: { data, pagination: { totalProducts, currentPage, totalPages } }
+            const list = res.data.data || [];
+            setProducts(list);
+            setPagination(res.data.pagination || {
+                totalProducts: res.data.total ?? list.length,
+                currentPage: listQuery.page,
+                totalPages: Math.max(1, Math.ceil((res.data.total ?? list.length) / pageSize)),
+            });
         } catch (err) {
             console.error('Error fetching products:', err);
             const msg = err.response?.data?.message || 'Failed to load products';
@@ -50,20 +97,63 @@ export default function ProductsListPage() {
     useEffect(() => {
         fetchProducts();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [searchQuery, categoryFilter]);
+    }, [listQuery.queryKey]);
 
     //Event Handlers
     const handleSearchInputChange = (e) => {
-        setSearchInput(e.target.value);
+        listQuery.setDraftValue('search', e.target.value);
     };
 
     const handleSearchSubmit = (e) => {
         e.preventDefault();
-        setSearchQuery(searchInput.trim());
+        listQuery.applyDraft();
     };
 
     const handleCategoryChange = (e) => {
-        setCategoryFilter(e.target.value)
+        listQuery.setValues({ category: e.target.value });
+    };
+
+    const handleSupplierChange = (e) => {
+        listQuery.setValues({ supplier: e.target.value });
+    };
+
+    const handlePageChange = (newPage) => {
+        if (newPage < 1 || newPage > (pagination.totalPages || 1)) return;
+        listQuery.setPage(newPage);
+    };
+
+    const handlePageSizeChange = (e) => {
+        listQuery.setValues({ limit: e.target.value });
+    };
+
+    const handleExportCsv = async () => {
+        try {
+            setError('');
+            setExporting(true);
+
+            const allProducts = await fetchAllPages(async (page, limit) => {
+                const res = await productApi.getProducts({ ...buildFilterParams(), page, limit });
+                return {
+                    list: res.data.data || [],
+                    totalPages: res.data.pagination?.totalPages || Math.ceil((res.data.total || 0) / limit),
+                };
+            });
+
+            // every importable field, under the headers the import screen maps
+            // automatically, so an export can be edited and imported again
+            const supplierName = (p) =>
+                p.supplier?.name || suppliers.find((s) => s._id === supplierIdOf(p.supplier, suppliers))?.name || '';
+            downloadCsv(csvFilename('products'), PRODUCT_FIELDS.map((field) => ({
+                header: field.errorLabel || field.label,
+                value: field.key === 'supplier' ? supplierName : (p) => p[field.key],
+            })), allProducts);
+        } catch (err) {
+            console.error('Error exporting products:', err);
+            const msg = err.response?.data?.message || 'Failed to export products';
+            setError(msg);
+        } finally {
+            setExporting(false);
+        }
     };
 
     const handleEdit = (productId) => {
@@ -89,7 +179,7 @@ export default function ProductsListPage() {
       };
 
     //Render
-    if (loading) {
+    if (loading && products.length === 0) {
         return (
           <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
             <div className="flex items-center gap-3">
@@ -114,20 +204,34 @@ export default function ProductsListPage() {
                 <div>
                   <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Products</h1>
                   <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
-                    {products.length} product{products.length !== 1 ? 's' : ''} found
+                    {pagination.totalProducts} product{pagination.totalProducts !== 1 ? 's' : ''} found
                   </p>
                 </div>
-                <Link
-                  to="/products/new"
-                  className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
-                  style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
-                  onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
-                  onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                  </svg>
-                  New Product
-                </Link>
+                <div className="flex items-center gap-2">
+                  <ExportCsvButton onClick={handleExportCsv} exporting={exporting} />
+                  <Link
+                    to="/products/import"
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+                    style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+                    onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+                    onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                    </svg>
+                    Import CSV
+                  </Link>
+                  <Link
+                    to="/products/new"
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                    style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+                    onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+                    onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                    New Product
+                  </Link>
+                </div>
               </div>
       
               {/* Error */}
@@ -201,11 +305,9 @@ export default function ProductsListPage() {
                   onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
                   onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}>
                   <option value="">All categories</option>
-                  <option value="Electronics">Electronics</option>
-                  <option value="Clothing">Clothing</option>
-                  <option value="Food">Food</option>
-                  <option value="Home">Home</option>
-                  <option value="Others">Others</option>
+                  {categoryNames.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
                 </select>
       
                 {/* Active category pill */}
@@ -218,6 +320,41 @@ export default function ProductsListPage() {
                     {categoryFilter}
                   </span>
                 )}
+
+                {/* Supplier select */}
+                <select
+                  value={supplierFilter}
+                  onChange={handleSupplierChange}
+                  className="rounded-xl px-3 py-2 text-sm focus:outline-none transition-all duration-150 appearance-none"
+                  style={{
+                    border: '1px solid #e2e8f0',
+                    background: '#f8fafc',
+                    color: '#475569',
+                    backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%2394a3b8'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'/%3E%3C/svg%3E")`,
+                    backgroundRepeat: 'no-repeat',
+                    backgroundPosition: 'right 10px center',
+                    backgroundSize: '14px',
+                    paddingRight: '32px',
+                  }}
+                  onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+                  onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}>
+                  <option value="">All suppliers</option>
+                  {suppliers.map((supplier) => (
+                    <option key={supplier._id} value={supplier._id}>
+                      {supplier.name} ({supplier.productCount ?? 0})
+                    </option>
+                  ))}
+                </select>
+
+                {/* Active supplier summary */}
+                {activeSupplier && (
+                  <Link
+                    to={`/suppliers/${activeSupplier._id}`}
+                    className="flex items-center gap-1.5 text-xs font-medium px-3 py-1 rounded-full"
+                    style={{ background: 'rgba(51,184,51,0.1)', color: '#16a34a' }}>
+                    {activeSupplier.name} · {activeSupplier.productCount ?? 0} product{activeSupplier.productCount !== 1 ? 's' : ''} · {formatMoney(activeSupplier.stockValue)} in stock
+                  </Link>
+                )}
               </div>
       
               {/* ── TABLE ───────────────────────────────────────────────────────── */}
@@ -234,11 +371,11 @@ export default function ProductsListPage() {
                   <table className="w-full text-sm">
                     <thead>
                       <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
-                        <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>SKU</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Name</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Category</th>
-                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Price</th>
-                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock</th>
+                        <SortableHeader label="SKU" field="sku" className="px-6 py-3" sort={listQuery.sort} order={listQuery.order} onSort={listQuery.toggleSort} />
+                        <SortableHeader label="Name" field="name" sort={listQuery.sort} order={listQuery.order} onSort={listQuery.toggleSort} />
+                        <SortableHeader label="Category" field="category" sort={listQuery.sort} order={listQuery.order} onSort={listQuery.toggleSort} />
+                        <SortableHeader label="Price" field="price" align="right" sort={listQuery.sort} order={listQuery.order} onSort={listQuery.toggleSort} />
+                        <SortableHeader label="Stock" field="stock" align="right" sort={listQuery.sort} order={listQuery.order} onSort={listQuery.toggleSort} />
                         <th className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Actions</th>
                       </tr>
                     </thead>
@@ -290,7 +427,7 @@ export default function ProductsListPage() {
       
                             {/* Price */}
                             <td className="px-4 py-4 text-sm font-semibold text-right" style={{ color: '#1e293b' }}>
-                              ${product.price.toFixed(2)}
+                              {formatMoney(product.price)}
                             </td>
       
                             {/* Stock */}
@@ -320,17 +457,30 @@ export default function ProductsListPage() {
                                   </svg>
                                   Edit
                                 </button>
-                                <button
-                                  onClick={() => handleDelete(product._id)}
+                                <Link
+                                  to={`/products/${product._id}/stock`}
                                   className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
-                                  style={{ background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' }}
-                                  onMouseEnter={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.15)'; e.currentTarget.style.borderColor = 'rgba(239,68,68,0.35)'; }}
-                                  onMouseLeave={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.07)'; e.currentTarget.style.borderColor = 'rgba(239,68,68,0.15)'; }}>
+                                  style={{ background: '#f8fafc', color: '#475569', border: '1px solid #e2e8f0' }}
+                                  onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+                                  onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
                                   <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
                                   </svg>
-                                  Delete
-                                </button>
+                                  Stock
+                                </Link>
+                                {canDelete && (
+                                  <button
+                                    onClick={() => handleDelete(product._id)}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
+                                    style={{ background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' }}
+                                    onMouseEnter={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.15)'; e.currentTarget.style.borderColor = 'rgba(239,68,68,0.35)'; }}
+                                    onMouseLeave={e => { e.currentTarget.style.background = 'rgba(239,68,68,0.07)'; e.currentTarget.style.borderColor = 'rgba(239,68,68,0.15)'; }}>
+                                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                    </svg>
+                                    Delete
+                                  </button>
+                                )}
                               </div>
                             </td>
                           </tr>
@@ -340,6 +490,57 @@ export default function ProductsListPage() {
                   </table>
                 )}
               </div>
+
+              {/* ── PAGINATION ──────────────────────────────────────────────────── */}
+              {pagination.totalProducts > 0 && (
+                <div className="mt-5 flex justify-between items-center">
+                  <div className="flex items-center gap-3">
+                    <p className="text-xs" style={{ color: '#94a3b8' }}>
+                      Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalProducts} total
+                    </p>
+                    <label className="flex items-center gap-2 text-xs" style={{ color: '#94a3b8' }}>
+                      Rows per page
+                      <select
+                        value={pageSize}
+                        onChange={handlePageSizeChange}
+                        className="rounded-lg px-2 py-1.5 text-xs focus:outline-none"
+                        style={{ border: '1px solid #e2e8f0', background: '#fff', color: '#475569' }}>
+                        {PAGE_SIZES.map((size) => (
+                          <option key={size} value={size}>{size}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                  {pagination.totalPages > 1 && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => handlePageChange(pagination.currentPage - 1)}
+                        disabled={pagination.currentPage <= 1}
+                        className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-medium transition-all duration-150"
+                        style={{ border: '1px solid #e2e8f0', background: '#fff', color: '#475569' }}
+                        onMouseEnter={e => { if (pagination.currentPage > 1) { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; } }}
+                        onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                        </svg>
+                        Prev
+                      </button>
+                      <button
+                        onClick={() => handlePageChange(pagination.currentPage + 1)}
+                        disabled={pagination.currentPage >= pagination.totalPages}
+                        className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-medium transition-all duration-150"
+                        style={{ border: '1px solid #e2e8f0', background: '#fff', color: '#475569' }}
+                        onMouseEnter={e => { if (pagination.currentPage < pagination.totalPages) { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; } }}
+                        onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+                        Next
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                        </svg>
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
             </main>
           </div>
         );
@@ -0,0 +1,398 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { purchaseOrderApi } from '../api/purchaseOrderApi.js';
+import { dashboardApi } from '../api/dashboardApi.js';
+import useSuppliers from '../hooks/useSuppliers.js';
+import ProductCombobox from '../components/ProductCombobox.jsx';
+import {
+  EMPTY_PO_LINE,
+  computePoTotal,
+  reorderQuantity,
+  validatePurchaseOrder,
+} from '../utils/purchaseOrder.js';
+import { supplierIdOf } from '../utils/productSchema.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+/**
+ * PurchaseOrderCreatePage
+ *
+ * Create a draft purchase order against a supplier
+ * - product lines with quantity and unit cost (defaults to the product cost);
+ *   products are searched as you type, so the whole catalog is pickable
+ * - ?reorder=1 prefills the lines with the low-stock products of one
+ *   supplier (?supplier=id, or the supplier with the most low-stock items)
+ *   and links to the other suppliers that need reordering
+ */
+export default function PurchaseOrderCreatePage() {
+  const { formatMoney } = useSettings();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const isReorder = searchParams.get('reorder') === '1';
+  const reorderSupplier = searchParams.get('supplier') || '';
+
+  const { suppliers } = useSuppliers();
+  // products picked on (or prefilled into) the lines
+  const [products, setProducts] = useState([]);
+  const [supplierId, setSupplierId] = useState(reorderSupplier);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState([{ ...EMPTY_PO_LINE }]);
+  // other suppliers with low-stock products: [{ supplierId, count }]
+  const [otherReorders, setOtherReorders] = useState([]);
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setError('');
+        setLoading(true);
+
+        if (!isReorder) return;
+
+        const lowStockRes = await dashboardApi.getLowStock();
+        const belowMin = (lowStockRes.data.data || []).filter((p) => p.stock <= p.minStock);
+        setProducts(belowMin);
+
+        const bySupplier = {};
+        belowMin.forEach((p) => {
+          const key = supplierIdOf(p.supplier);
+          bySupplier[key] = [...(bySupplier[key] || []), p];
+        });
+
+        const busiest = Object.keys(bySupplier).sort((a, b) => bySupplier[b].length - bySupplier[a].length)[0];
+        const chosen = reorderSupplier || busiest || '';
+        const chosenProducts = bySupplier[chosen] || [];
+
+        setSupplierId(chosen);
+        if (chosenProducts.length > 0) {
+          setLines(chosenProducts.map((p) => ({
+            productId: p._id,
+            quantity: reorderQuantity(p),
+            unitCost: p.cost ?? 0,
+          })));
+        }
+        setOtherReorders(
+          Object.entries(bySupplier)
+            .filter(([key]) => key !== chosen)
+            .map(([key, list]) => ({ supplierId: key, count: list.length }))
+        );
+      } catch (err) {
+        console.error('Error preparing purchase order:', err);
+        setError(err.response?.data?.message || 'Failed to load low stock products');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [isReorder, reorderSupplier]);
+
+  const supplierName = (id) => suppliers.find((s) => s._id === id)?.name || 'No supplier';
+
+  // Handlers //
+  const handleLineChange = (index, field, value) => {
+    setLines((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], [field]: value };
+      return updated;
+    });
+  };
+
+  // picking a product starts the line from its current cost
+  const handleSelectProduct = (index, product) => {
+    setProducts((prev) =>
+      prev.some((p) => p._id === product._id) ? prev : [...prev, product]
+    );
+    setLines((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], productId: product._id, unitCost: product.cost ?? 0 };
+      return updated;
+    });
+  };
+
+  const addLine = () => setLines((prev) => [...prev, { ...EMPTY_PO_LINE }]);
+
+  const removeLine = (index) => setLines((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const errors = validatePurchaseOrder(supplierId, lines);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    try {
+      const res = await purchaseOrderApi.createPurchaseOrder({
+        supplier: supplierId,
+        expectedDate: expectedDate || null,
+        notes: notes.trim(),
+        lines: lines.map((line) => ({
+          productId: line.productId,
+          quantity: Number(line.quantity),
+          unitCost: Number(line.unitCost),
+        })),
+      });
+      navigate(`/purchase-orders/${res.data.data?._id || ''}`);
+    } catch (err) {
+      console.error('Error creating purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to create purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const itemErrors = fieldErrors.itemErrors || [];
+  const total = computePoTotal(lines);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading products…</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>
+              {isReorder ? 'Reorder Low Stock' : 'New Purchase Order'}
+            </h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              Order products from a supplier; stock goes up when the goods are received
+            </p>
+          </div>
+          <Link
+            to="/purchase-orders"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Purchase Orders
+          </Link>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {isReorder && otherReorders.length > 0 && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm"
+            style={{ background: '#fffbeb', border: '1px solid #fde68a', color: '#b45309' }}>
+            Other suppliers also have low-stock products:{' '}
+            {otherReorders.map(({ supplierId: id, count }, i) => (
+              <span key={id || 'none'}>
+                {i > 0 && ', '}
+                {id ? (
+                  <Link to={`/purchase-orders/new?reorder=1&supplier=${id}`} className="font-semibold underline">
+                    {supplierName(id)} ({count})
+                  </Link>
+                ) : (
+                  <span className="font-semibold">no supplier set ({count})</span>
+                )}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-5 max-w-5xl">
+
+          {/* ── ORDER DETAILS ───────────────────────────────────────────── */}
+          <div className="bg-white rounded-2xl shadow-sm p-6 grid gap-5 md:grid-cols-3" style={{ border: '1px solid #e2e8f0' }}>
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                Supplier <span style={{ color: '#ef4444' }}>*</span>
+              </label>
+              <select
+                value={supplierId}
+                onChange={e => setSupplierId(e.target.value)}
+                className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none"
+                style={{
+                  border: fieldErrors.supplier ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                  background: fieldErrors.supplier ? '#fef2f2' : '#f8fafc',
+                  color: '#1e293b',
+                }}>
+                <option value="">Select supplier</option>
+                {suppliers.map((s) => (
+                  <option key={s._id} value={s._id}>{s.name}</option>
+                ))}
+              </select>
+              {fieldErrors.supplier && (
+                <p className="mt-1.5 text-xs" style={{ color: '#dc2626' }}>{fieldErrors.supplier}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                Expected Delivery <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+              </label>
+              <input
+                type="date"
+                value={expectedDate}
+                onChange={e => setExpectedDate(e.target.value)}
+                className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none"
+                style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                Notes <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+              </label>
+              <input
+                value={notes}
+                onChange={e => setNotes(e.target.value)}
+                placeholder="e.g. deliver to back door"
+                className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none"
+                style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b' }}
+              />
+            </div>
+          </div>
+
+          {/* ── LINES ───────────────────────────────────────────────────── */}
+          <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Products</h2>
+              <button
+                type="button"
+                onClick={addLine}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold text-white"
+                style={{ background: '#33B833', boxShadow: '0 2px 8px rgba(51,184,51,0.3)' }}>
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                </svg>
+                Add Line
+              </button>
+            </div>
+
+            {fieldErrors.items && (
+              <p className="mx-6 mt-4 rounded-lg px-4 py-2 text-xs"
+                style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+                {fieldErrors.items}
+              </p>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>In Stock</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Qty</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Unit Cost</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => {
+                  const rowErrors = itemErrors[index] || {};
+                  const product = products.find((p) => p._id === line.productId);
+
+                  return (
+                    <tr key={index} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                      <td className="px-6 py-3">
+                        <ProductCombobox
+                          product={product || null}
+                          productId={line.productId}
+                          invalid={!!rowErrors.productId}
+                          onSelect={(selected) => handleSelectProduct(index, selected)}
+                        />
+                        {rowErrors.productId && (
+                          <p className="mt-1 text-xs" style={{ color: '#dc2626' }}>{rowErrors.productId}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right text-xs" style={{ color: '#64748b' }}>
+                        {product ? `${product.stock} / min. ${product.minStock}` : '—'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <input
+                          type="number" min="1"
+                          value={line.quantity}
+                          onChange={e => handleLineChange(index, 'quantity', e.target.value)}
+                          className="w-20 rounded-lg px-3 py-2 text-sm text-right focus:outline-none ml-auto block"
+                          style={{
+                            border: rowErrors.quantity ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                            background: rowErrors.quantity ? '#fef2f2' : '#f8fafc',
+                            color: '#1e293b',
+                          }}
+                        />
+                      </td>
+                      <td className="px-4 py-3">
+                        <input
+                          type="number" min="0" step="0.01"
+                          value={line.unitCost}
+                          onChange={e => handleLineChange(index, 'unitCost', e.target.value)}
+                          className="w-24 rounded-lg px-3 py-2 text-sm text-right focus:outline-none ml-auto block"
+                          style={{
+                            border: rowErrors.unitCost ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                            background: rowErrors.unitCost ? '#fef2f2' : '#f8fafc',
+                            color: '#1e293b',
+                          }}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>
+                        {formatMoney((Number(line.quantity) || 0) * (Number(line.unitCost) || 0))}
+                      </td>
+                      <td className="px-4 py-3 text-center">
+                        {lines.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => removeLine(index)}
+                            className="w-7 h-7 rounded-lg flex items-center justify-center mx-auto"
+                            style={{ background: 'rgba(239,68,68,0.08)', color: '#ef4444' }}
+                            title="Remove line">
+                            ×
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="px-6 py-4 border-t flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <span className="text-sm" style={{ color: '#64748b' }}>
+                Total cost <strong className="text-base" style={{ color: '#3B5CD4' }}>{formatMoney(total)}</strong>
+              </span>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-6 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                style={{
+                  background: saving ? '#86efac' : '#33B833',
+                  boxShadow: saving ? 'none' : '0 2px 12px rgba(51,184,51,0.35)',
+                }}>
+                {saving ? 'Saving…' : 'Create Purchase Order'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </main>
+    </div>
+  );
+}
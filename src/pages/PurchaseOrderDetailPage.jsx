@@ -0,0 +1,324 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { purchaseOrderApi } from '../api/purchaseOrderApi.js';
+import StatusBadge from '../components/StatusBadge.jsx';
+import { PURCHASE_ORDER_STATUS_STYLES } from '../utils/statusStyles.js';
+import { computePoTotal, poNumber, remainingQuantity } from '../utils/purchaseOrder.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+const productIdOf = (line) => line.product?._id || line.product || line.productId;
+
+/**
+ * PurchaseOrderDetailPage
+ *
+ * One purchase order (/purchase-orders/:id)
+ * - supplier, dates, notes and lines with ordered / received quantities
+ * - draft: mark as sent or cancel
+ * - sent / partial: receive all or part of the remaining quantities;
+ *   the backend adds them to product stock and updates product cost
+ */
+export default function PurchaseOrderDetailPage() {
+  const { formatMoney } = useSettings();
+  const { id } = useParams();
+
+  const [po, setPo] = useState(null);
+  // productId -> { quantity, unitCost } for the receive form
+  const [receipt, setReceipt] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchPurchaseOrder = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const res = await purchaseOrderApi.getPurchaseOrderById(id);
+      const order = res.data.data;
+      setPo(order);
+      setReceipt(Object.fromEntries(
+        (order.lines || []).map((line) => [
+          productIdOf(line),
+          { quantity: String(remainingQuantity(line)), unitCost: String(line.unitCost ?? 0) },
+        ])
+      ));
+    } catch (err) {
+      console.error('Error fetching purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to load purchase order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPurchaseOrder();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const runAction = async (request, successMessage, failureMessage) => {
+    setError('');
+    setSuccess('');
+    setSaving(true);
+    try {
+      await request();
+      setSuccess(successMessage);
+      await fetchPurchaseOrder();
+    } catch (err) {
+      console.error('Error updating purchase order:', err);
+      setError(err.response?.data?.message || failureMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkSent = () =>
+    runAction(() => purchaseOrderApi.updatePurchaseOrder(id, { status: 'sent' }), 'Purchase order marked as sent', 'Failed to update purchase order');
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this purchase order?')) return;
+    runAction(() => purchaseOrderApi.updatePurchaseOrder(id, { status: 'cancelled' }), 'Purchase order cancelled', 'Failed to cancel purchase order');
+  };
+
+  const handleReceiptChange = (productId, field, value) => {
+    setReceipt((prev) => ({ ...prev, [productId]: { ...prev[productId], [field]: value } }));
+  };
+
+  const handleReceive = (e) => {
+    e.preventDefault();
+
+    const lines = po.lines
+      .map((line) => {
+        const productId = productIdOf(line);
+        const entry = receipt[productId] || {};
+        // a cleared cost stays NaN instead of becoming 0
+        const cost = String(entry.unitCost ?? '').trim();
+        return { productId, quantity: Number(entry.quantity) || 0, unitCost: cost === '' ? NaN : Number(cost), remaining: remainingQuantity(line) };
+      })
+      .filter((line) => line.quantity > 0);
+
+    if (lines.length === 0) {
+      setError('Enter a quantity for at least one line');
+      return;
+    }
+    if (lines.some((line) => line.quantity > line.remaining || !Number.isInteger(line.quantity))) {
+      setError('Received quantities must be whole numbers and cannot exceed what is still outstanding');
+      return;
+    }
+    if (lines.some((line) => isNaN(line.unitCost) || line.unitCost < 0)) {
+      setError('Enter a unit cost of zero or more for every received line');
+      return;
+    }
+
+    const payload = lines.map((line) => ({ productId: line.productId, quantity: line.quantity, unitCost: line.unitCost }));
+    const units = payload.reduce((sum, line) => sum + line.quantity, 0);
+    runAction(
+      () => purchaseOrderApi.receivePurchaseOrder(id, { lines: payload }),
+      `Received ${units} unit${units !== 1 ? 's' : ''}; stock and costs updated`,
+      'Failed to receive goods'
+    );
+  };
+
+  if (loading && !po) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading purchase order…</span>
+        </div>
+      </div>
+    );
+  }
+
+  const lines = po?.lines || [];
+  const canReceive = po && (po.status === 'sent' || po.status === 'partial');
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <div className="flex items-center gap-3">
+              <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>
+                {po ? poNumber(po) : 'Purchase Order'}
+              </h1>
+              {po && <StatusBadge status={po.status} styles={PURCHASE_ORDER_STATUS_STYLES} fallback="draft" />}
+            </div>
+            {po && (
+              <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+                {po.supplier?._id ? (
+                  <Link to={`/suppliers/${po.supplier._id}`} style={{ color: '#3B5CD4' }}>{po.supplier.name}</Link>
+                ) : 'Unknown supplier'}
+                {' · '}created {new Date(po.createdAt).toLocaleDateString()}
+                {po.expectedDate && <> · expected {new Date(po.expectedDate).toLocaleDateString()}</>}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {po?.status === 'draft' && (
+              <button type="button" onClick={handleMarkSent} disabled={saving}
+                className="px-4 py-2 rounded-xl text-sm font-semibold text-white"
+                style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}>
+                Mark as Sent
+              </button>
+            )}
+            {(po?.status === 'draft' || po?.status === 'sent') && (
+              <button type="button" onClick={handleCancel} disabled={saving}
+                className="px-4 py-2 rounded-xl text-sm font-semibold"
+                style={{ background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' }}>
+                Cancel PO
+              </button>
+            )}
+            <Link
+              to="/purchase-orders"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+              style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+              onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+              onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+              Back
+            </Link>
+          </div>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {success}
+          </div>
+        )}
+
+        {po && (
+          <form onSubmit={handleReceive} className="space-y-5 max-w-5xl">
+            {po.notes && (
+              <div className="bg-white rounded-2xl px-6 py-4 text-sm shadow-sm" style={{ border: '1px solid #e2e8f0', color: '#475569' }}>
+                <span className="text-xs font-semibold uppercase tracking-widest mr-2" style={{ color: '#94a3b8' }}>Notes</span>
+                {po.notes}
+              </div>
+            )}
+
+            {/* ── LINES ─────────────────────────────────────────────────── */}
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Lines</h2>
+                {canReceive && (
+                  <button
+                    type="button"
+                    onClick={() => setReceipt(Object.fromEntries(lines.map((line) => [
+                      productIdOf(line),
+                      { ...receipt[productIdOf(line)], quantity: String(remainingQuantity(line)) },
+                    ])))}
+                    className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                    style={{ background: 'rgba(59,92,212,0.08)', color: '#3B5CD4', border: '1px solid rgba(59,92,212,0.15)' }}>
+                    Fill all remaining
+                  </button>
+                )}
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                    <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Ordered</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Received</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Unit Cost</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total</th>
+                    {canReceive && (
+                      <>
+                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Receive Now</th>
+                        <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Actual Cost</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map((line) => {
+                    const productId = productIdOf(line);
+                    const remaining = remainingQuantity(line);
+                    const entry = receipt[productId] || {};
+
+                    return (
+                      <tr key={productId} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-3">
+                          <span className="block font-medium" style={{ color: '#1e293b' }}>{line.product?.name || 'Product'}</span>
+                          <span className="block text-xs font-mono" style={{ color: '#94a3b8' }}>{line.product?.sku}</span>
+                        </td>
+                        <td className="px-4 py-3 text-right" style={{ color: '#1e293b' }}>{line.quantity}</td>
+                        <td className="px-4 py-3 text-right font-semibold"
+                          style={{ color: remaining === 0 ? '#16a34a' : '#b45309' }}>
+                          {line.receivedQuantity || 0}
+                        </td>
+                        <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{formatMoney(line.unitCost)}</td>
+                        <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>
+                          {formatMoney(line.quantity * (line.unitCost || 0))}
+                        </td>
+                        {canReceive && (
+                          <>
+                            <td className="px-4 py-3">
+                              <input
+                                type="number" min="0" max={remaining}
+                                value={entry.quantity ?? ''}
+                                disabled={remaining === 0}
+                                onChange={e => handleReceiptChange(productId, 'quantity', e.target.value)}
+                                className="w-20 rounded-lg px-3 py-2 text-sm text-right focus:outline-none ml-auto block"
+                                style={{ border: '1px solid #e2e8f0', background: remaining === 0 ? '#f1f5f9' : '#f8fafc', color: '#1e293b' }}
+                              />
+                            </td>
+                            <td className="px-4 py-3">
+                              <input
+                                type="number" min="0" step="0.01"
+                                value={entry.unitCost ?? ''}
+                                disabled={remaining === 0}
+                                onChange={e => handleReceiptChange(productId, 'unitCost', e.target.value)}
+                                className="w-24 rounded-lg px-3 py-2 text-sm text-right focus:outline-none ml-auto block"
+                                style={{ border: '1px solid #e2e8f0', background: remaining === 0 ? '#f1f5f9' : '#f8fafc', color: '#1e293b' }}
+                              />
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="px-6 py-4 border-t flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <span className="text-sm" style={{ color: '#64748b' }}>
+                  Total cost <strong className="text-base" style={{ color: '#3B5CD4' }}>{formatMoney(po.totalCost ?? computePoTotal(lines))}</strong>
+                </span>
+                {canReceive && (
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-6 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                    style={{
+                      background: saving ? '#86efac' : '#33B833',
+                      boxShadow: saving ? 'none' : '0 2px 12px rgba(51,184,51,0.35)',
+                    }}>
+                    {saving ? 'Saving…' : 'Receive Goods'}
+                  </button>
+                )}
+              </div>
+            </div>
+          </form>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { purchaseOrderApi } from '../api/purchaseOrderApi.js';
+import useListQueryState from '../hooks/useListQueryState.js';
+import StatusBadge from '../components/StatusBadge.jsx';
+import { PURCHASE_ORDER_STATUS_STYLES } from '../utils/statusStyles.js';
+import { OPEN_PO_STATUSES, computePoTotal, poNumber } from '../utils/purchaseOrder.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+const PAGE_SIZE = 20;
+
+// tab -> statuses sent to the backend
+const VIEWS = {
+  open: { label: 'Open', statuses: OPEN_PO_STATUSES },
+  received: { label: 'Received', statuses: ['received'] },
+  cancelled: { label: 'Cancelled', statuses: ['cancelled'] },
+  all: { label: 'All', statuses: [] },
+};
+
+/**
+ * PurchaseOrdersListPage
+ *
+ * - open purchase orders by default (draft, sent, partially received)
+ * - tabs for received / cancelled / all, kept in the URL (?view=)
+ * - links to create a PO or reorder low-stock products
+ */
+export default function PurchaseOrdersListPage() {
+  const { formatMoney } = useSettings();
+  const navigate = useNavigate();
+  const listQuery = useListQueryState({ view: 'open' });
+  const view = VIEWS[listQuery.values.view] ? listQuery.values.view : 'open';
+
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchPurchaseOrders = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const params = { page: listQuery.page, limit: PAGE_SIZE, sort: 'createdAt', order: 'desc' };
+      if (VIEWS[view].statuses.length > 0) params.status = VIEWS[view].statuses.join(',');
+
+      const res = await purchaseOrderApi.getPurchaseOrders(params);
+      setPurchaseOrders(res.data.data || []);
+      setTotalPages(res.data.pagination?.totalPages || 1);
+    } catch (err) {
+      console.error('Error fetching purchase orders:', err);
+      setError(err.response?.data?.message || 'Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [listQuery.queryKey]);
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Purchase Orders</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>Goods ordered from suppliers</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Link
+              to="/purchase-orders/new?reorder=1"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+              style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+              onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+              onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+              Reorder Low Stock
+            </Link>
+            <Link
+              to="/purchase-orders/new"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+              style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+              onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+              onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              New Purchase Order
+            </Link>
+          </div>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {/* ── TABS ────────────────────────────────────────────────────────── */}
+        <div className="flex gap-2 mb-5">
+          {Object.entries(VIEWS).map(([key, option]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => listQuery.setValues({ view: key })}
+              className="px-4 py-2 rounded-xl text-sm font-semibold transition-all duration-150"
+              style={view === key
+                ? { background: '#3B5CD4', color: '#fff', border: '1px solid #3B5CD4' }
+                : { background: '#fff', color: '#475569', border: '1px solid #e2e8f0' }}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* ── TABLE ───────────────────────────────────────────────────────── */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+          {loading && purchaseOrders.length === 0 ? (
+            <p className="py-16 text-center text-sm" style={{ color: '#64748b' }}>Loading purchase orders…</p>
+          ) : purchaseOrders.length === 0 ? (
+            <div className="py-16 text-center">
+              <p className="text-sm font-medium" style={{ color: '#94a3b8' }}>No purchase orders</p>
+              <p className="text-xs mt-1" style={{ color: '#cbd5e1' }}>Create one or reorder your low-stock products</p>
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>PO</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Supplier</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Lines</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Total Cost</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Created</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Expected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {purchaseOrders.map((po) => (
+                  <tr key={po._id}
+                    className="cursor-pointer"
+                    style={{ borderBottom: '1px solid #f1f5f9' }}
+                    onClick={() => navigate(`/purchase-orders/${po._id}`)}
+                    onMouseEnter={e => e.currentTarget.style.background = '#fafbff'}
+                    onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
+                    <td className="px-6 py-4 font-mono text-xs font-semibold" style={{ color: '#3B5CD4' }}>{poNumber(po)}</td>
+                    <td className="px-4 py-4" style={{ color: '#1e293b' }}>{po.supplier?.name || '—'}</td>
+                    <td className="px-4 py-4">
+                      <StatusBadge status={po.status} styles={PURCHASE_ORDER_STATUS_STYLES} fallback="draft" />
+                    </td>
+                    <td className="px-4 py-4 text-right" style={{ color: '#475569' }}>{po.lines?.length ?? 0}</td>
+                    <td className="px-4 py-4 text-right font-semibold" style={{ color: '#1e293b' }}>
+                      {formatMoney(po.totalCost ?? computePoTotal(po.lines || []))}
+                    </td>
+                    <td className="px-4 py-4" style={{ color: '#64748b' }}>{new Date(po.createdAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-4" style={{ color: '#64748b' }}>
+                      {po.expectedDate ? new Date(po.expectedDate).toLocaleDateString() : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="px-6 py-3 flex items-center justify-between border-t" style={{ borderColor: '#f1f5f9' }}>
+              <span className="text-xs" style={{ color: '#64748b' }}>Page {listQuery.page} of {totalPages}</span>
+              <div className="flex gap-2">
+                <button type="button" disabled={listQuery.page <= 1} onClick={() => listQuery.setPage(listQuery.page - 1)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                  style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: listQuery.page <= 1 ? '#cbd5e1' : '#475569' }}>
+                  Previous
+                </button>
+                <button type="button" disabled={listQuery.page >= totalPages} onClick={() => listQuery.setPage(listQuery.page + 1)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                  style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: listQuery.page >= totalPages ? '#cbd5e1' : '#475569' }}>
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
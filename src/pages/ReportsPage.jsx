@@ -15,6 +15,9 @@ import {
   Legend,
 } from "recharts";
 import { reportsApi } from "../api/reportsApi";
+import TaxSummaryReport from "../components/TaxSummaryReport.jsx";
+import { useSettings } from "../context/SettingsContext.jsx";
+import { formatCompactMoney } from "../utils/money.js";
 
 // ── Color palette matching your app's style ──
 const BLUE = "#3B5CD4";
@@ -57,6 +60,7 @@ function StatCard({ label, value, sub, icon }) {
 
 // ── Custom tooltip shared by bar/line charts ──────────────────────────────────
 function RevenueTooltip({ active, payload, label }) {
+  const { formatMoney } = useSettings();
   if (!active || !payload?.length) return null;
   return (
     <div
@@ -72,7 +76,7 @@ function RevenueTooltip({ active, payload, label }) {
         <p key={p.dataKey}>
           {p.name}:{" "}
           <span style={{ color: "#93c5fd" }}>
-            ${Number(p.value).toFixed(2)}
+            {formatMoney(p.value)}
           </span>
         </p>
       ))}
@@ -82,6 +86,7 @@ function RevenueTooltip({ active, payload, label }) {
 
 // ── Main page ─────────────────────────────────────────────────────────────────
 export default function ReportsPage() {
+  const { currency, locale, formatMoney } = useSettings();
   const currentYear = new Date().getFullYear();
   const [year, setYear] = useState(currentYear);
 
@@ -93,16 +98,16 @@ export default function ReportsPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
-  const fetchAll = useCallback(async (yr) => {
+  const fetchAll = useCallback(async (yr, baseCurrency) => {
     try {
       setError("");
       setLoading(true);
 
       const [sRes, iRes, mRes, tRes] = await Promise.all([
-        reportsApi.getSalesStats(),
-        reportsApi.getInvoiceStats(),
-        reportsApi.getMonthlyRevenue(yr),
-        reportsApi.getTopProducts(5),
+        reportsApi.getSalesStats(baseCurrency),
+        reportsApi.getInvoiceStats(baseCurrency),
+        reportsApi.getMonthlyRevenue(yr, baseCurrency),
+        reportsApi.getTopProducts(5, baseCurrency),
       ]);
 
       setSalesStats(sRes.data.stats);
@@ -147,8 +152,8 @@ export default function ReportsPage() {
   }, []); // empty deps — fetchAll doesn't depend on any state directly
 
   useEffect(() => {
-    fetchAll(year);
-  }, [year, fetchAll]); // fetchAll is now stable, safe to include
+    fetchAll(year, currency);
+  }, [year, currency, fetchAll]); // fetchAll is now stable, safe to include
   // ── Loading ────────────────────────────────────────────────────────────────
   if (loading) {
     return (
@@ -186,8 +191,6 @@ export default function ReportsPage() {
   }
 
   // ── Helpers ────────────────────────────────────────────────────────────────
-  const fmt = (n) =>
-    `$${Number(n || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   const fmtN = (n) => Number(n || 0).toLocaleString();
 
   // ── Render ─────────────────────────────────────────────────────────────────
@@ -200,7 +203,8 @@ export default function ReportsPage() {
             Reports
           </h1>
           <p className="text-sm mt-0.5" style={{ color: "#64748b" }}>
-            Sales & invoice analytics
+            Sales & invoice analytics · amounts in {currency}, sales in other
+            currencies converted at their exchange rate
           </p>
         </div>
 
@@ -254,13 +258,11 @@ export default function ReportsPage() {
       )}
 
       {/* ── Stat Cards ───────────────────────────────────────────────────── */}
-      <div
-        className="grid grid-cols-2 gap-4 mb-6"
-        style={{ gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))" }}
-      >
+      {/* five cards: 3 + 2 on medium screens, one row on wide ones */}
+      <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-5 gap-4 mb-6">
         <StatCard
           label="Total Revenue"
-          value={fmt(salesStats?.totalRevenue)}
+          value={formatMoney(salesStats?.totalRevenue)}
           sub={`${fmtN(salesStats?.totalSales)} sales`}
           icon={
             <svg
@@ -282,8 +284,8 @@ export default function ReportsPage() {
 
         <StatCard
           label="Avg Sale Value"
-          value={fmt(salesStats?.averageSaleValue)}
-          sub={`Max: ${fmt(salesStats?.maxSaleValue)}`}
+          value={formatMoney(salesStats?.averageSaleValue)}
+          sub={`Max: ${formatMoney(salesStats?.maxSaleValue)}`}
           icon={
             <svg
               className="w-5 h-5"
@@ -302,6 +304,28 @@ export default function ReportsPage() {
           }
         />
 
+        <StatCard
+          label="Discounts Given"
+          value={formatMoney(salesStats?.totalDiscount)}
+          sub={`${fmtN(salesStats?.discountedSales)} discounted sales`}
+          icon={
+            <svg
+              className="w-5 h-5"
+              style={{ color: "#ef4444" }}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+              />
+            </svg>
+          }
+        />
+
         <StatCard
           label="Total Invoices"
           value={fmtN(invoiceStats?.totalInvoices)}
@@ -326,7 +350,7 @@ export default function ReportsPage() {
 
         <StatCard
           label="Invoice Revenue"
-          value={fmt(invoiceStats?.totalRevenue ?? invoiceStats?.totalAmount)}
+          value={formatMoney(invoiceStats?.totalRevenue ?? invoiceStats?.totalAmount)}
           sub={`Overdue: ${fmtN(invoiceStats?.overdueInvoices)}`}
           icon={
             <svg
@@ -347,6 +371,9 @@ export default function ReportsPage() {
         />
       </div>
 
+      {/* ── Tax Summary ──────────────────────────────────────────────────── */}
+      <TaxSummaryReport />
+
       {/* ── Monthly Revenue Chart ─────────────────────────────────────────── */}
       <div
         className="bg-white rounded-2xl p-6 shadow-sm mb-6"
@@ -387,7 +414,7 @@ export default function ReportsPage() {
                 axisLine={false}
                 tickLine={false}
                 tickFormatter={(v) =>
-                  `$${v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v}`
+                  formatCompactMoney(v, currency, locale)
                 }
               />
               <Tooltip
@@ -450,7 +477,7 @@ export default function ReportsPage() {
                   axisLine={false}
                   tickLine={false}
                   tickFormatter={(v) =>
-                    `$${v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v}`
+                    formatCompactMoney(v, currency, locale)
                   }
                 />
                 <Tooltip content={<RevenueTooltip />} />
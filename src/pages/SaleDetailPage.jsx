@@ -0,0 +1,614 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { salesApi } from "../api/salesApi.js";
+import { invoiceApi } from "../api/invoiceApi.js";
+import { useAuth } from "../context/AuthContext.jsx";
+import { hasRole, ROLES } from "../context/roles.js";
+import StatusBadge from "../components/StatusBadge.jsx";
+import InfoRow from "../components/InfoRow.jsx";
+import TaxBreakdown from "../components/TaxBreakdown.jsx";
+import {
+  SALE_STATUS_STYLES,
+  INVOICE_STATUS_STYLES,
+} from "../utils/statusStyles.js";
+import { computeLineTotals, computeSaleTotals } from "../utils/saleForm.js";
+import { toBaseAmount } from "../utils/money.js";
+import { useSettings } from "../context/SettingsContext.jsx";
+
+/**
+ * SaleDetailPage
+ *
+ * - fetch a single sale with GET /api/sales/:id
+ * - show customer info, line items and totals
+ * - line / order discounts and the discount code used, when any
+ * - tax rate per line and the tax breakdown by rate
+ * - amounts in the sale's currency; a foreign-currency sale also shows its
+ *   exchange rate and total in the store currency
+ * - show status history and the invoice created from this sale
+ * - pending sales link to the edit screen (/sales/:id/edit)
+ */
+export default function SaleDetailPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canSeeInvoices = hasRole(user, [ROLES.ADMIN]);
+  const { currency: baseCurrency, formatMoney } = useSettings();
+
+  const [sale, setSale] = useState(null);
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchSale = async () => {
+      try {
+        setError("");
+        setLoading(true);
+
+        const res = await salesApi.getSaleById(id);
+        const data = res.data.data; // { success, data: sale }
+        setSale(data);
+
+        // linked invoice: the sale's own reference, populated or as an id
+        if (data.invoice && typeof data.invoice === "object") {
+          setInvoice(data.invoice);
+        } else if (data.invoice && canSeeInvoices) {
+          try {
+            const invRes = await invoiceApi.getInvoiceById(data.invoice);
+            setInvoice(invRes.data.data);
+          } catch (invErr) {
+            // the sale itself loaded fine; the invoice card just stays empty
+            console.error("Error fetching linked invoice:", invErr);
+          }
+        }
+      } catch (err) {
+        console.error("Error fetching sale:", err);
+        const msg = err.response?.data?.message || "Failed to load sale";
+        setError(msg);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSale();
+  }, [id, canSeeInvoices]);
+
+  // RENDER //
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="text-slate-600 text-sm">Loading sale...</div>
+      </div>
+    );
+  }
+
+  const items = sale?.items || [];
+  // backend totals win; recompute only what an older sale doesn't carry
+  const computed = computeSaleTotals(items, sale || {}, sale?.taxPercentage);
+  const subtotal = sale?.subtotal ?? computed.subtotal;
+  const lineDiscountTotal = sale?.lineDiscountTotal ?? computed.lineDiscountTotal;
+  const orderDiscountAmount =
+    sale?.orderDiscountAmount ?? computed.orderDiscountAmount;
+  const discountTotal = sale?.discountTotal ?? computed.discountTotal;
+  const taxBreakdown = sale?.taxBreakdown ?? computed.taxBreakdown;
+  const includedTaxAmount = sale?.includedTaxAmount ?? computed.includedTaxAmount;
+  const totalAmount = sale?.totalAmount ?? computed.totalAmount;
+  const saleCurrency = sale?.currency || baseCurrency;
+  const isForeignCurrency = saleCurrency !== baseCurrency;
+
+  // Status history: use the backend's log if present, else what we can infer
+  const history =
+    sale?.statusHistory?.length > 0
+      ? sale.statusHistory
+      : [
+          sale?.createdAt && { status: "pending", changedAt: sale.createdAt },
+          sale?.status !== "pending" &&
+            sale?.updatedAt && { status: sale.status, changedAt: sale.updatedAt },
+        ].filter(Boolean);
+
+  return (
+    <div
+      className="min-h-screen flex"
+      style={{ background: "#f1f5f9", fontFamily: "system-ui, sans-serif" }}
+    >
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <div className="flex items-center gap-3">
+              <h1 className="text-2xl font-bold" style={{ color: "#1e293b" }}>
+                Sale Details
+              </h1>
+              {sale && (
+                <StatusBadge
+                  status={sale.status}
+                  styles={SALE_STATUS_STYLES}
+                  fallback="pending"
+                />
+              )}
+            </div>
+            <p className="text-sm mt-0.5 font-mono" style={{ color: "#64748b" }}>
+              #{id}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {sale?.status === "pending" && (
+              <Link
+                to={`/sales/${id}/edit`}
+                className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                style={{
+                  background: "#3B5CD4",
+                  boxShadow: "0 2px 12px rgba(59,92,212,0.3)",
+                }}
+              >
+                <svg
+                  className="w-4 h-4"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                  />
+                </svg>
+                Edit Sale
+              </Link>
+            )}
+            <button
+              type="button"
+              onClick={() => navigate("/sales")}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+              style={{
+                background: "#fff",
+                border: "1px solid #e2e8f0",
+                color: "#475569",
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.borderColor = "#3B5CD4";
+                e.currentTarget.style.color = "#3B5CD4";
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.borderColor = "#e2e8f0";
+                e.currentTarget.style.color = "#475569";
+              }}
+            >
+              <svg
+                className="w-4 h-4"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M10 19l-7-7m0 0l7-7m-7 7h18"
+                />
+              </svg>
+              Back to Sales
+            </button>
+          </div>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div
+            className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{
+              background: "#fef2f2",
+              border: "1px solid #fecaca",
+              color: "#dc2626",
+            }}
+          >
+            <svg
+              className="w-4 h-4 flex-shrink-0"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <path
+                fillRule="evenodd"
+                d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+                clipRule="evenodd"
+              />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {sale && (
+          <div className="space-y-6">
+            {/* ── CUSTOMER CARD ───────────────────────────────────────────── */}
+            <div
+              className="bg-white rounded-2xl shadow-sm overflow-hidden"
+              style={{ border: "1px solid #e2e8f0" }}
+            >
+              <div
+                className="px-6 py-4 border-b flex items-center gap-2"
+                style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+              >
+                <svg
+                  className="w-4 h-4"
+                  style={{ color: "#3B5CD4" }}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
+                  />
+                </svg>
+                <h2 className="text-sm font-semibold" style={{ color: "#1e293b" }}>
+                  Customer Information
+                </h2>
+              </div>
+              <div className="p-6 grid gap-5 md:grid-cols-4">
+                <InfoRow label="Name" value={sale.customerName} />
+                <InfoRow label="Email" value={sale.customerEmail} />
+                <InfoRow label="Phone" value={sale.customerPhone} />
+                <InfoRow
+                  label="Date"
+                  value={
+                    sale.createdAt
+                      ? new Date(sale.createdAt).toLocaleString()
+                      : null
+                  }
+                />
+              </div>
+            </div>
+
+            {/* ── LINE ITEMS CARD ─────────────────────────────────────────── */}
+            <div
+              className="bg-white rounded-2xl shadow-sm overflow-hidden"
+              style={{ border: "1px solid #e2e8f0" }}
+            >
+              <div
+                className="px-6 py-4 border-b flex items-center gap-2"
+                style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+              >
+                <svg
+                  className="w-4 h-4"
+                  style={{ color: "#3B5CD4" }}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
+                  />
+                </svg>
+                <h2 className="text-sm font-semibold" style={{ color: "#1e293b" }}>
+                  Line Items
+                </h2>
+                <span
+                  className="text-xs px-2 py-0.5 rounded-full font-medium"
+                  style={{ background: "rgba(59,92,212,0.1)", color: "#3B5CD4" }}
+                >
+                  {items.length} item{items.length !== 1 ? "s" : ""}
+                </span>
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr
+                    style={{
+                      background: "#f8fafc",
+                      borderBottom: "1px solid #e2e8f0",
+                    }}
+                  >
+                    <th
+                      className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      SKU
+                    </th>
+                    <th
+                      className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Product
+                    </th>
+                    <th
+                      className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Qty
+                    </th>
+                    <th
+                      className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Unit Price
+                    </th>
+                    <th
+                      className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Discount
+                    </th>
+                    <th
+                      className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Tax
+                    </th>
+                    <th
+                      className="px-6 py-3 text-right text-xs font-semibold uppercase tracking-widest"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      Total
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map((item, index) => {
+                    // productId may be populated with the product document
+                    const product =
+                      item.product ||
+                      (typeof item.productId === "object" ? item.productId : null) ||
+                      {};
+                    const qty = Number(item.quantity) || 0;
+                    const price = Number(item.unitPrice) || 0;
+                    const line = computeLineTotals(item);
+                    const lineDiscount = item.discountAmount ?? line.discount;
+                    const lineTotal = item.subtotal ?? item.total ?? line.net;
+                    const lineTaxRate = Number(item.taxRate ?? sale.taxPercentage) || 0;
+
+                    return (
+                      <tr
+                        key={item._id || index}
+                        style={{ borderBottom: "1px solid #f1f5f9" }}
+                      >
+                        <td
+                          className="px-6 py-4 text-sm font-mono font-medium"
+                          style={{ color: "#3B5CD4" }}
+                        >
+                          {product.sku || item.sku || "—"}
+                        </td>
+                        <td
+                          className="px-4 py-4 text-sm font-medium"
+                          style={{ color: "#1e293b" }}
+                        >
+                          {product.name || item.productName || item.name || "Unknown product"}
+                        </td>
+                        <td
+                          className="px-4 py-4 text-sm text-right"
+                          style={{ color: "#475569" }}
+                        >
+                          {qty}
+                        </td>
+                        <td
+                          className="px-4 py-4 text-sm text-right"
+                          style={{ color: "#475569" }}
+                        >
+                          {formatMoney(price, saleCurrency)}
+                        </td>
+                        <td
+                          className="px-4 py-4 text-sm text-right"
+                          style={{ color: lineDiscount > 0 ? "#16a34a" : "#cbd5e1" }}
+                        >
+                          {lineDiscount > 0 ? (
+                            <>
+                              −{formatMoney(lineDiscount, saleCurrency)}
+                              {item.discountType === "percent" && (
+                                <span className="text-xs ml-1" style={{ color: "#94a3b8" }}>
+                                  ({Number(item.discountValue)}%)
+                                </span>
+                              )}
+                            </>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                        <td
+                          className="px-4 py-4 text-sm text-right"
+                          style={{ color: "#475569" }}
+                        >
+                          {lineTaxRate}%
+                          {item.taxInclusive && (
+                            <span className="text-xs ml-1" style={{ color: "#94a3b8" }}>
+                              incl.
+                            </span>
+                          )}
+                          {item.taxClass && (
+                            <span className="block text-xs" style={{ color: "#94a3b8" }}>
+                              {item.taxClass}
+                            </span>
+                          )}
+                        </td>
+                        <td
+                          className="px-6 py-4 text-sm font-semibold text-right"
+                          style={{ color: "#1e293b" }}
+                        >
+                          {formatMoney(lineTotal, saleCurrency)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Summary footer */}
+              <div
+                className="px-6 py-4 border-t flex justify-end"
+                style={{ borderColor: "#f1f5f9", background: "#fafbff" }}
+              >
+                <div className="text-sm space-y-1.5 min-w-48">
+                  <div className="flex justify-between gap-8" style={{ color: "#64748b" }}>
+                    <span>Subtotal</span>
+                    <span className="font-medium" style={{ color: "#1e293b" }}>
+                      {formatMoney(subtotal, saleCurrency)}
+                    </span>
+                  </div>
+                  {lineDiscountTotal > 0 && (
+                    <div className="flex justify-between gap-8" style={{ color: "#64748b" }}>
+                      <span>Line discounts</span>
+                      <span className="font-medium" style={{ color: "#16a34a" }}>
+                        −{formatMoney(lineDiscountTotal, saleCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {orderDiscountAmount > 0 && (
+                    <div className="flex justify-between gap-8" style={{ color: "#64748b" }}>
+                      <span>
+                        Order discount
+                        {sale.discountType === "percent" && ` (${Number(sale.discountValue)}%)`}
+                        {sale.discountCode && (
+                          <span
+                            className="ml-1.5 text-xs font-mono font-semibold px-1.5 py-0.5 rounded"
+                            style={{ background: "rgba(51,184,51,0.1)", color: "#16a34a" }}
+                          >
+                            {sale.discountCode}
+                          </span>
+                        )}
+                      </span>
+                      <span className="font-medium" style={{ color: "#16a34a" }}>
+                        −{formatMoney(orderDiscountAmount, saleCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {lineDiscountTotal > 0 && orderDiscountAmount > 0 && (
+                    <div className="flex justify-between gap-8" style={{ color: "#64748b" }}>
+                      <span>Total discount</span>
+                      <span className="font-medium" style={{ color: "#16a34a" }}>
+                        −{formatMoney(discountTotal, saleCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {orderDiscountAmount === 0 && sale.discountCode && (
+                    <div className="flex justify-between gap-8" style={{ color: "#64748b" }}>
+                      <span>Discount code</span>
+                      <span className="font-mono font-medium" style={{ color: "#1e293b" }}>
+                        {sale.discountCode}
+                      </span>
+                    </div>
+                  )}
+                  <TaxBreakdown
+                    breakdown={taxBreakdown}
+                    includedTaxAmount={includedTaxAmount}
+                    currency={saleCurrency}
+                  />
+                  <div
+                    className="flex justify-between gap-8 pt-2 border-t"
+                    style={{ borderColor: "#e2e8f0" }}
+                  >
+                    <span className="font-semibold" style={{ color: "#1e293b" }}>
+                      Total
+                    </span>
+                    <span className="text-base font-bold" style={{ color: "#3B5CD4" }}>
+                      {formatMoney(totalAmount, saleCurrency)}
+                    </span>
+                  </div>
+                  {isForeignCurrency && (
+                    <div
+                      className="flex justify-between gap-8 text-xs"
+                      style={{ color: "#94a3b8" }}
+                    >
+                      <span>
+                        In {baseCurrency} (1 {saleCurrency} = {Number(sale.exchangeRate) || 1}{" "}
+                        {baseCurrency})
+                      </span>
+                      <span>
+                        {formatMoney(toBaseAmount(totalAmount, sale.exchangeRate))}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-2">
+              {/* ── STATUS HISTORY ──────────────────────────────────────────── */}
+              <div
+                className="bg-white rounded-2xl shadow-sm p-6"
+                style={{ border: "1px solid #e2e8f0" }}
+              >
+                <h2 className="text-sm font-semibold mb-4" style={{ color: "#1e293b" }}>
+                  Status History
+                </h2>
+                {history.length === 0 ? (
+                  <p className="text-sm" style={{ color: "#94a3b8" }}>
+                    No status changes recorded
+                  </p>
+                ) : (
+                  <ol className="space-y-3">
+                    {history.map((entry, index) => (
+                      <li key={index} className="flex items-center justify-between gap-4">
+                        <StatusBadge
+                          status={entry.status}
+                          styles={SALE_STATUS_STYLES}
+                          fallback="pending"
+                        />
+                        <span className="text-xs" style={{ color: "#64748b" }}>
+                          {entry.changedAt || entry.date
+                            ? new Date(entry.changedAt || entry.date).toLocaleString()
+                            : "—"}
+                          {entry.changedBy?.email || entry.changedBy?.name
+                            ? ` · ${entry.changedBy.name || entry.changedBy.email}`
+                            : ""}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+
+              {/* ── LINKED INVOICE ──────────────────────────────────────────── */}
+              <div
+                className="bg-white rounded-2xl shadow-sm p-6"
+                style={{ border: "1px solid #e2e8f0" }}
+              >
+                <h2 className="text-sm font-semibold mb-4" style={{ color: "#1e293b" }}>
+                  Invoice
+                </h2>
+                {invoice ? (
+                  <div className="flex items-center justify-between gap-4">
+                    <div>
+                      <Link
+                        to={`/invoices/${invoice._id}`}
+                        className="text-sm font-mono font-medium hover:underline"
+                        style={{ color: "#3B5CD4" }}
+                      >
+                        {invoice.invoiceNumber || invoice._id}
+                      </Link>
+                      <p className="text-xs mt-0.5" style={{ color: "#64748b" }}>
+                        {formatMoney(invoice.totalAmount, invoice.currency || saleCurrency)}
+                        {invoice.createdAt
+                          ? ` · ${new Date(invoice.createdAt).toLocaleDateString()}`
+                          : ""}
+                      </p>
+                    </div>
+                    <StatusBadge
+                      status={invoice.status}
+                      styles={INVOICE_STATUS_STYLES}
+                      fallback="draft"
+                    />
+                  </div>
+                ) : !canSeeInvoices ? (
+                  <p className="text-sm" style={{ color: "#94a3b8" }}>
+                    Invoices are only visible to administrators.
+                  </p>
+                ) : (
+                  <p className="text-sm" style={{ color: "#94a3b8" }}>
+                    No invoice has been created from this sale yet.{" "}
+                    <Link to="/sales" className="font-medium" style={{ color: "#3B5CD4" }}>
+                      Create one from the sales list
+                    </Link>
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
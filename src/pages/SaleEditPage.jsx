@@ -0,0 +1,614 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { salesApi } from "../api/salesApi.js";
+import { productApi } from "../api/productApi.js";
+import SaleCustomerFields from "../components/SaleCustomerFields.jsx";
+import SaleItemsEditor from "../components/SaleItemsEditor.jsx";
+import useTaxClasses from "../hooks/useTaxClasses.js";
+import { useSettings } from "../context/SettingsContext.jsx";
+import {
+  EMPTY_ITEM,
+  computeLineStock,
+  computeLineTotals,
+  computeSaleTotals,
+  productPriceFields,
+  productTaxFields,
+  convertAmounts,
+  repriceItems,
+  saleExchangeRate,
+  toCurrencyPayload,
+  toDiscountPayload,
+  toTaxPayload,
+  validateSaleForm,
+  withAmountField,
+  withBaseAmounts,
+} from "../utils/saleForm.js";
+
+const CUSTOMER_FIELDS = [
+  { key: "customerName", label: "Customer name" },
+  { key: "customerEmail", label: "Customer email" },
+  { key: "customerPhone", label: "Customer phone" },
+  { key: "discountValue", label: "Order discount" },
+  { key: "discountType", label: "Order discount type" },
+  { key: "discountCode", label: "Discount code" },
+  { key: "currency", label: "Currency" },
+  { key: "exchangeRate", label: "Exchange rate" },
+];
+
+const NUMERIC_CUSTOMER_FIELDS = ["discountValue", "exchangeRate"];
+
+// sale items come back with productId as an id or a populated product
+const lineProductId = (item) =>
+  item.productId?._id || item.productId || item.product?._id || "";
+
+// sales saved before tax classes had one taxPercentage for every line
+const toFormItem = (item, sale) => withBaseAmounts({
+  productId: lineProductId(item),
+  quantity: item.quantity ?? 1,
+  unitPrice: item.unitPrice ?? 0,
+  discountType: item.discountType || "percent",
+  discountValue: item.discountValue ?? "",
+  taxClass: item.taxClass || "",
+  taxRate: item.taxRate ?? sale.taxPercentage ?? "",
+  taxInclusive: Boolean(item.taxInclusive),
+}, sale.exchangeRate ?? 1);
+
+// only the products on the sale's lines, with their current stock; the
+// picker searches for anything else. Products that can't be loaded any
+// more fall back to the copy populated on the item, if there is one
+async function fetchLineProducts(items) {
+  const populated = Object.fromEntries(
+    items
+      .map((item) => (item.productId?._id ? item.productId : item.product))
+      .filter((product) => product?._id)
+      .map((product) => [product._id, product]),
+  );
+  const ids = [...new Set(items.map(lineProductId).filter(Boolean))];
+  const results = await Promise.allSettled(
+    ids.map((productId) => productApi.getProductById(productId)),
+  );
+
+  return results
+    .map((result, index) =>
+      result.status === "fulfilled" ? result.value.data.data : populated[ids[index]],
+    )
+    .filter(Boolean);
+}
+
+const taxLabel = (item) =>
+  `${Number(item.taxRate) || 0}%${item.taxInclusive ? " incl." : ""}`;
+
+const toFormCustomer = (sale) => withBaseAmounts({
+  customerName: sale.customerName || "",
+  customerEmail: sale.customerEmail || "",
+  customerPhone: sale.customerPhone || "",
+  discountType: sale.discountType || "percent",
+  discountValue: sale.discountValue ?? "",
+  discountCode: sale.discountCode || "",
+  currency: sale.currency || "",
+  exchangeRate: sale.exchangeRate ?? 1,
+}, sale.exchangeRate ?? 1);
+
+// sum quantities (and line discounts) per product so stock changes can be
+// compared line-independently
+const quantitiesByProduct = (items) =>
+  items.reduce((acc, item) => {
+    const qty = Number(item.quantity) || 0;
+    const entry = acc[item.productId] || {
+      quantity: 0,
+      unitPrice: item.unitPrice,
+      tax: taxLabel(item),
+      discount: 0,
+    };
+    acc[item.productId] = {
+      ...entry,
+      quantity: entry.quantity + qty,
+      discount: entry.discount + computeLineTotals(item).discount,
+    };
+    return acc;
+  }, {});
+
+/**
+ * Compare the loaded sale with the edited form.
+ * - customer: changed customer fields (before/after)
+ * - items: one row per product with quantity/price/discount/tax before and after;
+ *   stockDelta > 0 means units go back to stock, < 0 means more are deducted
+ */
+function buildSaleDiff(originalCustomer, originalItems, customer, items) {
+  const customerChanges = CUSTOMER_FIELDS.filter(({ key }) =>
+    NUMERIC_CUSTOMER_FIELDS.includes(key)
+      ? Number(originalCustomer[key]) !== Number(customer[key])
+      : String(originalCustomer[key]).trim() !== String(customer[key]).trim(),
+  ).map(({ key, label }) => ({
+    label,
+    before: originalCustomer[key],
+    after: customer[key],
+  }));
+
+  const before = quantitiesByProduct(originalItems);
+  const after = quantitiesByProduct(items);
+  const productIds = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  const itemChanges = productIds
+    .map((productId) => {
+      const b = before[productId];
+      const a = after[productId];
+      const qtyBefore = b?.quantity || 0;
+      const qtyAfter = a?.quantity || 0;
+      const priceBefore = b ? Number(b.unitPrice) || 0 : null;
+      const priceAfter = a ? Number(a.unitPrice) || 0 : null;
+      const discountBefore = b ? b.discount : null;
+      const discountAfter = a ? a.discount : null;
+      const taxBefore = b ? b.tax : null;
+      const taxAfter = a ? a.tax : null;
+
+      let type = "unchanged";
+      if (!b) type = "added";
+      else if (!a) type = "removed";
+      else if (qtyBefore !== qtyAfter
+        || priceBefore !== priceAfter
+        || Math.abs(discountBefore - discountAfter) > 0.001
+        || taxBefore !== taxAfter) type = "changed";
+
+      return {
+        productId,
+        type,
+        qtyBefore,
+        qtyAfter,
+        priceBefore,
+        priceAfter,
+        discountBefore,
+        discountAfter,
+        taxBefore,
+        taxAfter,
+        stockDelta: qtyBefore - qtyAfter,
+      };
+    })
+    .filter((change) => change.type !== "unchanged");
+
+  return { customerChanges, itemChanges };
+}
+
+const DIFF_TYPE_STYLES = {
+  added: { bg: "rgba(51,184,51,0.1)", color: "#16a34a" },
+  removed: { bg: "rgba(239,68,68,0.1)", color: "#dc2626" },
+  changed: { bg: "rgba(59,92,212,0.1)", color: "#3B5CD4" },
+};
+
+/**
+ * SaleEditPage
+ *
+ * - load an existing sale (GET /api/sales/:id) into the same customer /
+ *   item editor used by SalesCreatePage
+ * - only pending sales can be edited
+ * - warn that the backend re-adjusts stock, and show a diff of the
+ *   changes (customer fields, items, stock effect) before saving
+ * - save with PUT /api/sales/:id, then go back to the sale detail page
+ */
+export default function SaleEditPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [sale, setSale] = useState(null);
+  const [originalCustomer, setOriginalCustomer] = useState(null);
+  const [originalItems, setOriginalItems] = useState([]);
+
+  const [customer, setCustomer] = useState(toFormCustomer({}));
+  const [items, setItems] = useState([{ ...EMPTY_ITEM }]);
+
+  const [products, setProducts] = useState([]);
+  const { taxClasses, error: taxClassesError } = useTaxClasses();
+  const { currency: baseCurrency, formatMoney } = useSettings();
+  const [loading, setLoading] = useState(true);
+
+  //ui/validation state
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [diff, setDiff] = useState(null);
+
+  // Load sale + the products on its lines //
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setError("");
+        setLoading(true);
+
+        const saleRes = await salesApi.getSaleById(id);
+
+        const data = saleRes.data.data; // { success, data: sale }
+        const lineProducts = await fetchLineProducts(data.items || []);
+        const formCustomer = toFormCustomer(data);
+        const formItems = (data.items || []).map((item) => toFormItem(item, data));
+
+        setSale(data);
+        setOriginalCustomer(formCustomer);
+        setOriginalItems(formItems);
+        setCustomer(formCustomer);
+        setItems(formItems.length > 0 ? formItems : [{ ...EMPTY_ITEM }]);
+        setProducts(lineProducts);
+      } catch (err) {
+        console.error("Error loading sale for edit:", err);
+        const msg = err.response?.data?.message || "Failed to load sale";
+        setError(msg);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [id]);
+
+  //Helpers: total //
+  const totals = computeSaleTotals(items, customer);
+  const saleCurrency = customer.currency || baseCurrency;
+  const exchangeRate = saleExchangeRate(customer, baseCurrency);
+  const originalTotals = computeSaleTotals(originalItems, originalCustomer || {});
+  const isEditable = sale?.status === "pending";
+  // the saved quantities are already deducted, so they count as available
+  const reserved = Object.fromEntries(
+    Object.entries(quantitiesByProduct(originalItems)).map(([productId, entry]) => [
+      productId,
+      entry.quantity,
+    ]),
+  );
+  const lineStock = computeLineStock(items, products, reserved);
+
+  const productLabel = (productId) => {
+    const product = products.find((p) => p._id === productId);
+    return product ? `${product.sku} — ${product.name}` : productId;
+  };
+
+  // Handlers //
+  // any edit invalidates a diff that is being reviewed
+  const handleCustomerChange = (e) => {
+    const { name, value } = e.target;
+    const next = withAmountField(customer, name, value, exchangeRate);
+    // prices and fixed discounts follow the new currency / rate
+    if (name === "currency" || name === "exchangeRate") {
+      const rate = saleExchangeRate(next, baseCurrency);
+      setCustomer(convertAmounts(next, rate));
+      setItems((prev) => repriceItems(prev, rate));
+    } else {
+      setCustomer(next);
+    }
+    setDiff(null);
+  };
+
+  const handleItemChange = (index, field, value) => {
+    setItems((prev) => {
+      const updated = [...prev];
+      updated[index] = withAmountField(updated[index], field, value, exchangeRate);
+      return updated;
+    });
+    setDiff(null);
+  };
+
+  // picking a product fills in its current price and tax
+  const handleSelectProduct = (index, product) => {
+    setProducts((prev) =>
+      prev.some((p) => p._id === product._id) ? prev : [...prev, product],
+    );
+    setItems((prev) => {
+      const updated = [...prev];
+      updated[index] = {
+        ...updated[index],
+        productId: product._id,
+        ...productPriceFields(product, exchangeRate),
+        ...productTaxFields(product, taxClasses),
+      };
+      return updated;
+    });
+    setDiff(null);
+  };
+
+  const addItemRow = () => {
+    setItems((prev) => [...prev, { ...EMPTY_ITEM }]);
+    setDiff(null);
+  };
+
+  const removeItemRow = (index) => {
+    setItems((prev) => prev.filter((_, i) => i !== index));
+    setDiff(null);
+  };
+
+  // Step 1: validate and show the diff //
+  const handleReview = (e) => {
+    e.preventDefault();
+    setError("");
+
+    const errors = validateSaleForm(customer, items, lineStock);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const changes = buildSaleDiff(originalCustomer, originalItems, customer, items);
+    if (changes.customerChanges.length === 0 && changes.itemChanges.length === 0) {
+      setError("Nothing has changed on this sale.");
+      return;
+    }
+    setDiff(changes);
+  };
+
+  // Step 2: save after the user confirmed the diff //
+  const handleConfirmSave = async () => {
+    setError("");
+    setSaving(true);
+    try {
+      const payload = {
+        customerName: customer.customerName.trim(),
+        customerEmail: customer.customerEmail.trim(),
+        customerPhone: customer.customerPhone.trim(),
+        ...toDiscountPayload(customer),
+        discountCode: customer.discountCode.trim().toUpperCase(),
+        ...toCurrencyPayload(customer, baseCurrency),
+        items: items.map((item) => ({
+          productId: item.productId,
+          quantity: Number(item.quantity),
+          unitPrice: Number(item.unitPrice),
+          ...toDiscountPayload(item),
+          ...toTaxPayload(item),
+        })),
+      };
+
+      await salesApi.updateSale(id, payload);
+      navigate(`/sales/${id}`);
+    } catch (err) {
+      console.error("Error updating sale:", err);
+      const backendMessage = err.response?.data?.message;
+      setError(backendMessage || "Failed to update sale. Please try again.");
+      setDiff(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // RENDER //
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="text-slate-600 text-sm">Loading sale...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>
+              Edit Sale{" "}
+              <span className="font-mono text-base" style={{ color: '#94a3b8' }}>#{id.slice(-6)}</span>
+            </h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>Correct the customer details or line items of a pending sale</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => navigate(`/sales/${id}`)}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Sale
+          </button>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {sale && !isEditable && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fffbeb', border: '1px solid #fde68a', color: '#b45309' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            This sale is {sale.status}. Only pending sales can be edited.
+          </div>
+        )}
+
+        {sale && isEditable && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-start gap-2"
+            style={{ background: '#fffbeb', border: '1px solid #fde68a', color: '#b45309' }}>
+            <svg className="w-4 h-4 flex-shrink-0 mt-0.5" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            <span>
+              <span className="font-semibold">Stock will be re-adjusted.</span>{" "}
+              Quantities from the original items are returned to stock and the new quantities are deducted when you save.
+              You&apos;ll see a summary of the changes before anything is saved.
+            </span>
+          </div>
+        )}
+
+        {sale && (
+          <form onSubmit={handleReview} className="space-y-6">
+
+            {/* ── CUSTOMER INFO CARD ──────────────────────────────────────────── */}
+            <SaleCustomerFields
+              customer={customer}
+              fieldErrors={fieldErrors}
+              onChange={handleCustomerChange}
+            />
+
+            {/* ── ITEMS TABLE CARD ────────────────────────────────────────────── */}
+            <SaleItemsEditor
+              items={items}
+              products={products}
+              lineStock={lineStock}
+              taxClasses={taxClasses}
+              taxClassesError={taxClassesError}
+              currency={saleCurrency}
+              fieldErrors={fieldErrors}
+              totals={totals}
+              onItemChange={handleItemChange}
+              onSelectProduct={handleSelectProduct}
+              onAddItem={addItemRow}
+              onRemoveItem={removeItemRow}
+            />
+
+            {/* ── REVIEW CHANGES ─────────────────────────────────────────────── */}
+            {diff && (
+              <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #c7d2fe' }}>
+                <div className="px-6 py-4 border-b flex items-center gap-2" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                  <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                  </svg>
+                  <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Review Changes</h2>
+                </div>
+
+                {diff.customerChanges.length > 0 && (
+                  <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9' }}>
+                    <p className="text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>Customer</p>
+                    <ul className="space-y-1.5 text-sm">
+                      {diff.customerChanges.map((change) => (
+                        <li key={change.label} style={{ color: '#475569' }}>
+                          <span className="font-medium" style={{ color: '#1e293b' }}>{change.label}:</span>{" "}
+                          <span style={{ color: '#dc2626', textDecoration: 'line-through' }}>{String(change.before) || "—"}</span>
+                          {" → "}
+                          <span style={{ color: '#16a34a' }}>{String(change.after) || "—"}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {diff.itemChanges.length > 0 && (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                          <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Product</th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Change</th>
+                          <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Qty</th>
+                          <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Unit Price</th>
+                          <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Discount</th>
+                          <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Tax</th>
+                          <th className="px-6 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock Effect</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {diff.itemChanges.map((change) => {
+                          const typeStyle = DIFF_TYPE_STYLES[change.type];
+                          return (
+                            <tr key={change.productId} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                              <td className="px-6 py-3 text-sm font-medium" style={{ color: '#1e293b' }}>
+                                {productLabel(change.productId)}
+                              </td>
+                              <td className="px-4 py-3">
+                                <span className="text-xs font-semibold px-2 py-0.5 rounded-full capitalize"
+                                  style={{ background: typeStyle.bg, color: typeStyle.color }}>
+                                  {change.type}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>
+                                {change.qtyBefore} → <span className="font-semibold" style={{ color: '#1e293b' }}>{change.qtyAfter}</span>
+                              </td>
+                              <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>
+                                {change.priceBefore === null ? "—" : formatMoney(change.priceBefore, saleCurrency)}
+                                {" → "}
+                                <span className="font-semibold" style={{ color: '#1e293b' }}>
+                                  {change.priceAfter === null ? "—" : formatMoney(change.priceAfter, saleCurrency)}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>
+                                {change.discountBefore === null ? "—" : formatMoney(change.discountBefore, saleCurrency)}
+                                {" → "}
+                                <span className="font-semibold" style={{ color: '#1e293b' }}>
+                                  {change.discountAfter === null ? "—" : formatMoney(change.discountAfter, saleCurrency)}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>
+                                {change.taxBefore ?? "—"}
+                                {" → "}
+                                <span className="font-semibold" style={{ color: '#1e293b' }}>{change.taxAfter ?? "—"}</span>
+                              </td>
+                              <td className="px-6 py-3 text-right text-sm font-semibold"
+                                style={{ color: change.stockDelta > 0 ? '#16a34a' : change.stockDelta < 0 ? '#dc2626' : '#94a3b8' }}>
+                                {change.stockDelta > 0
+                                  ? `+${change.stockDelta} returned`
+                                  : change.stockDelta < 0
+                                    ? `${change.stockDelta} deducted`
+                                    : "no change"}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <div className="px-6 py-4 border-t flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                  <p className="text-sm" style={{ color: '#64748b' }}>
+                    Total{" "}
+                    <span style={{ textDecoration: 'line-through' }}>{formatMoney(originalTotals.totalAmount, originalCustomer?.currency || baseCurrency)}</span>
+                    {" → "}
+                    <span className="font-bold" style={{ color: '#3B5CD4' }}>{formatMoney(totals.totalAmount, saleCurrency)}</span>
+                  </p>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setDiff(null)}
+                      disabled={saving}
+                      className="px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+                      style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}>
+                      Keep Editing
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleConfirmSave}
+                      disabled={saving}
+                      className="px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                      style={{
+                        background: saving ? '#86efac' : '#33B833',
+                        boxShadow: saving ? 'none' : '0 2px 12px rgba(51,184,51,0.35)',
+                      }}>
+                      {saving ? "Saving…" : "Confirm & Save"}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* ── SUBMIT ─────────────────────────────────────────────────────── */}
+            {!diff && (
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={!isEditable}
+                  className="flex items-center gap-2 px-6 py-3 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                  style={{
+                    background: isEditable ? '#3B5CD4' : '#93c5fd',
+                    boxShadow: isEditable ? '0 2px 12px rgba(59,92,212,0.35)' : 'none',
+                  }}
+                  onMouseEnter={e => { if (isEditable) e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.5)'; }}
+                  onMouseLeave={e => { if (isEditable) e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.35)'; }}>
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                  </svg>
+                  Review Changes
+                </button>
+              </div>
+            )}
+
+          </form>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,16 +1,32 @@
 import { useEffect, useState } from "react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { salesApi } from "../api/salesApi.js";
 import { invoiceApi } from "../api/invoiceApi.js";
+import { useAuth } from "../context/AuthContext.jsx";
+import { useSettings } from "../context/SettingsContext.jsx";
+import { hasRole, ROLES } from "../context/roles.js";
+import useListQueryState from "../hooks/useListQueryState.js";
+import SortableHeader from "../components/SortableHeader.jsx";
+import ExportCsvButton from "../components/ExportCsvButton.jsx";
+import { csvFilename, downloadCsv, fetchAllPages } from "../utils/csv.js";
 
 /**
  * SalesListPage
  *
  * - Show a table of sales
  * - Filter by status (pending/completed/cancelled)
+ * - sort by clicking a column header (sent as ?sort=&order= to the API)
+ * - status filter, sort and page are kept in the URL
+ * - export every sale matching the current filter as CSV
  * - create invoice from a sale using POST /api/invoices
+ * - click a row to open the sale detail page
  */
 export default function SalesListPage() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { currency, formatMoney } = useSettings();
+  const canDelete = hasRole(user, [ROLES.ADMIN]);
+
   //data front backend
   const [sales, setSales] = useState([]);
   const [pagination, setPagination] = useState({
@@ -22,12 +38,22 @@ export default function SalesListPage() {
   // UI state
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [statusFilter, setStatusFilter] = useState("");
+  // newest first unless the user picks another column
+  const listQuery = useListQueryState({ sort: "createdAt", order: "desc" });
+  const statusFilter = listQuery.values.status || "";
   const [creatingInvoiceId, setCreatingInvoiceId] = useState(null);
   const [successMessage, setSuccessMessage] = useState("");
   const [editingStatus, setEditingStatus] = useState({});
   const [savingStatusId, setSavingStatusId] = useState(null);
   const [deletingId, setDeletingId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // filter + sort params shared by the table and the CSV export
+  const buildFilterParams = () => {
+    const params = { sort: listQuery.sort, order: listQuery.order };
+    if (statusFilter) params.status = statusFilter;
+    return params;
+  };
 
   // Fetch sales from API //
   const fetchSales = async (page = 1) => {
@@ -35,8 +61,7 @@ export default function SalesListPage() {
       setError("");
       setLoading(true);
 
-      const params = { page, limit: 10 };
-      if (statusFilter) params.status = statusFilter;
+      const params = { ...buildFilterParams(), page, limit: 10 };
 
       const res = await salesApi.getSales(params);
 
@@ -59,15 +84,15 @@ export default function SalesListPage() {
     }
   };
 
-  //load on mount + when status filter changes
+  //load on mount + when the query string (status / page) changes
   useEffect(() => {
-    fetchSales(1);
+    fetchSales(listQuery.page);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [statusFilter]);
+  }, [listQuery.queryKey]);
 
   // Handlers //
   const handleStatusChange = (e) => {
-    setStatusFilter(e.target.value);
+    listQuery.setValues({ status: e.target.value });
   };
 
   const handleSaleStatusChange = (saleId, newStatus) => {
@@ -103,7 +128,58 @@ export default function SalesListPage() {
 
   const handlePageChange = (newPage) => {
     if (newPage < 1 || newPage > (pagination.totalPages || 1)) return;
-    fetchSales(newPage);
+    listQuery.setPage(newPage);
+  };
+
+  const handleExportCsv = async () => {
+    try {
+      setError("");
+      setSuccessMessage("");
+      setExporting(true);
+
+      const allSales = await fetchAllPages(async (page, limit) => {
+        const res = await salesApi.getSales({
+          ...buildFilterParams(),
+          page,
+          limit,
+        });
+        return {
+          list: res.data.sales || [],
+          totalPages: res.data.pagination?.totalPages,
+        };
+      });
+
+      downloadCsv(
+        csvFilename("sales"),
+        [
+          { header: "Sale ID", value: (sale) => sale._id },
+          {
+            header: "Date",
+            value: (sale) =>
+              sale.createdAt ? new Date(sale.createdAt).toISOString() : "",
+          },
+          { header: "Customer", value: (sale) => sale.customerName },
+          { header: "Email", value: (sale) => sale.customerEmail },
+          { header: "Phone", value: (sale) => sale.customerPhone },
+          { header: "Items", value: (sale) => (sale.items || []).length },
+          { header: "Subtotal", value: (sale) => sale.subtotal },
+          { header: "Tax %", value: (sale) => sale.taxPercentage },
+          { header: "Tax", value: (sale) => sale.taxAmount },
+          { header: "Total", value: (sale) => sale.totalAmount },
+          { header: "Currency", value: (sale) => sale.currency || currency },
+          { header: "Exchange Rate", value: (sale) => sale.exchangeRate ?? 1 },
+          { header: "Status", value: (sale) => sale.status },
+        ],
+        allSales,
+      );
+      setSuccessMessage(`Exported ${allSales.length} sales to CSV.`);
+    } catch (err) {
+      console.error("Error exporting sales:", err);
+      const msg = err.response?.data?.message || "Failed to export sales.";
+      setError(msg);
+    } finally {
+      setExporting(false);
+    }
   };
 
   const handleDeleteSale = async (sale) => {
@@ -160,6 +236,12 @@ export default function SalesListPage() {
     }
   };
 
+  // open sale detail, unless the click was on one of the row's controls
+  const handleRowClick = (e, saleId) => {
+    if (e.target.closest("button, select, a, input")) return;
+    navigate(`/sales/${saleId}`);
+  };
+
   // RENDER //
   if (loading && sales.length === 0) {
     return (
@@ -186,37 +268,40 @@ export default function SalesListPage() {
               {sales.length} sale{sales.length !== 1 ? "s" : ""} found
             </p>
           </div>
-          <Link
-            to="/sales/new"
-            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
-            style={{
-              background: "linear-gradient(135deg, #3B5CD4, #3A96D4)",
-              boxShadow: "0 2px 12px rgba(59,92,212,0.3)",
-            }}
-            onMouseEnter={(e) =>
-              (e.currentTarget.style.boxShadow =
-                "0 4px 20px rgba(59,92,212,0.45)")
-            }
-            onMouseLeave={(e) =>
-              (e.currentTarget.style.boxShadow =
-                "0 2px 12px rgba(59,92,212,0.3)")
-            }
-          >
-            <svg
-              className="w-4 h-4"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          <div className="flex items-center gap-2">
+            <ExportCsvButton onClick={handleExportCsv} exporting={exporting} />
+            <Link
+              to="/sales/new"
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+              style={{
+                background: "linear-gradient(135deg, #3B5CD4, #3A96D4)",
+                boxShadow: "0 2px 12px rgba(59,92,212,0.3)",
+              }}
+              onMouseEnter={(e) =>
+                (e.currentTarget.style.boxShadow =
+                  "0 4px 20px rgba(59,92,212,0.45)")
+              }
+              onMouseLeave={(e) =>
+                (e.currentTarget.style.boxShadow =
+                  "0 2px 12px rgba(59,92,212,0.3)")
+              }
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M12 4v16m8-8H4"
-              />
-            </svg>
-            New Sale
-          </Link>
+              <svg
+                className="w-4 h-4"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 4v16m8-8H4"
+                />
+              </svg>
+              New Sale
+            </Link>
+          </div>
         </div>
 
         {/* Alerts */}
@@ -392,36 +477,43 @@ export default function SalesListPage() {
                     borderBottom: "1px solid #e2e8f0",
                   }}
                 >
-                  <th
-                    className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Date
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Customer
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Email
-                  </th>
-                  <th
-                    className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Total
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest"
-                    style={{ color: "#94a3b8" }}
-                  >
-                    Status
-                  </th>
+                  <SortableHeader
+                    label="Date"
+                    field="createdAt"
+                    className="px-6 py-3"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Customer"
+                    field="customerName"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Email"
+                    field="customerEmail"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Total"
+                    field="totalAmount"
+                    align="right"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
+                  <SortableHeader
+                    label="Status"
+                    field="status"
+                    sort={listQuery.sort}
+                    order={listQuery.order}
+                    onSort={listQuery.toggleSort}
+                  />
                   <th
                     className="px-4 py-3 text-center text-xs font-semibold uppercase tracking-widest"
                     style={{ color: "#94a3b8" }}
@@ -459,6 +551,8 @@ export default function SalesListPage() {
                   return (
                     <tr
                       key={sale._id}
+                      onClick={(e) => handleRowClick(e, sale._id)}
+                      className="cursor-pointer"
                       style={{ borderBottom: "1px solid #f1f5f9" }}
                       onMouseEnter={(e) =>
                         (e.currentTarget.style.background = "#fafbff")
@@ -480,7 +574,13 @@ export default function SalesListPage() {
                         className="px-4 py-4 text-sm font-medium"
                         style={{ color: "#1e293b" }}
                       >
-                        {sale.customerName}
+                        <Link
+                          to={`/sales/${sale._id}`}
+                          className="hover:underline"
+                          style={{ color: "#1e293b" }}
+                        >
+                          {sale.customerName}
+                        </Link>
                       </td>
 
                       {/* Email */}
@@ -496,7 +596,7 @@ export default function SalesListPage() {
                         className="px-4 py-4 text-sm font-semibold text-right"
                         style={{ color: "#1e293b" }}
                       >
-                        ${Number(sale.totalAmount || 0).toFixed(2)}
+                        {formatMoney(sale.totalAmount, sale.currency)}
                       </td>
 
                       {/* Status badge + inline editor */}
@@ -635,79 +735,81 @@ export default function SalesListPage() {
                             </>
                           )}
                         </button>
-                        {/* Delete sale button */}
-                        <button
-                          type="button"
-                          onClick={() => handleDeleteSale(sale)}
-                          disabled={deletingId === sale._id}
-                          className="inline-flex items-center ml-2 gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
-                          style={{
-                            background:
-                              deletingId === sale._id
-                                ? "rgba(239,68,68,0.07)"
-                                : "rgba(239,68,68,0.08)",
-                            color: "#dc2626",
-                            border: "1px solid rgba(239,68,68,0.3)",
-                          }}
-                          onMouseEnter={(e) => {
-                            if (deletingId !== sale._id) {
-                              e.currentTarget.style.background =
-                                "rgba(239,68,68,0.18)";
-                              e.currentTarget.style.borderColor =
-                                "rgba(239,68,68,0.6)";
-                            }
-                          }}
-                          onMouseLeave={(e) => {
-                            if (deletingId !== sale._id) {
-                              e.currentTarget.style.background =
-                                "rgba(239,68,68,0.08)";
-                              e.currentTarget.style.borderColor =
-                                "rgba(239,68,68,0.3)";
-                            }
-                          }}
-                        >
-                          {deletingId === sale._id ? (
-                            <>
-                              <svg
-                                className="w-3 h-3 animate-spin"
-                                fill="none"
-                                viewBox="0 0 24 24"
-                              >
-                                <circle
-                                  className="opacity-25"
-                                  cx="12"
-                                  cy="12"
-                                  r="10"
+                        {/* Delete sale button (admin only) */}
+                        {canDelete && (
+                          <button
+                            type="button"
+                            onClick={() => handleDeleteSale(sale)}
+                            disabled={deletingId === sale._id}
+                            className="inline-flex items-center ml-2 gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-150"
+                            style={{
+                              background:
+                                deletingId === sale._id
+                                  ? "rgba(239,68,68,0.07)"
+                                  : "rgba(239,68,68,0.08)",
+                              color: "#dc2626",
+                              border: "1px solid rgba(239,68,68,0.3)",
+                            }}
+                            onMouseEnter={(e) => {
+                              if (deletingId !== sale._id) {
+                                e.currentTarget.style.background =
+                                  "rgba(239,68,68,0.18)";
+                                e.currentTarget.style.borderColor =
+                                  "rgba(239,68,68,0.6)";
+                              }
+                            }}
+                            onMouseLeave={(e) => {
+                              if (deletingId !== sale._id) {
+                                e.currentTarget.style.background =
+                                  "rgba(239,68,68,0.08)";
+                                e.currentTarget.style.borderColor =
+                                  "rgba(239,68,68,0.3)";
+                              }
+                            }}
+                          >
+                            {deletingId === sale._id ? (
+                              <>
+                                <svg
+                                  className="w-3 h-3 animate-spin"
+                                  fill="none"
+                                  viewBox="0 0 24 24"
+                                >
+                                  <circle
+                                    className="opacity-25"
+                                    cx="12"
+                                    cy="12"
+                                    r="10"
+                                    stroke="currentColor"
+                                    strokeWidth="4"
+                                  />
+                                  <path
+                                    className="opacity-75"
+                                    fill="currentColor"
+                                    d="M4 12a8 8 0 018-8v8z"
+                                  />
+                                </svg>
+                                Deleting…
+                              </>
+                            ) : (
+                              <>
+                                <svg
+                                  className="w-3 h-3"
+                                  fill="none"
                                   stroke="currentColor"
-                                  strokeWidth="4"
-                                />
-                                <path
-                                  className="opacity-75"
-                                  fill="currentColor"
-                                  d="M4 12a8 8 0 018-8v8z"
-                                />
-                              </svg>
-                              Deleting…
-                            </>
-                          ) : (
-                            <>
-                              <svg
-                                className="w-3 h-3"
-                                fill="none"
-                                stroke="currentColor"
-                                viewBox="0 0 24 24"
-                              >
-                                <path
-                                  strokeLinecap="round"
-                                  strokeLinejoin="round"
-                                  strokeWidth={2}
-                                  d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5-3h4m-7 3h10"
-                                />
-                              </svg>
-                              Delete
-                            </>
-                          )}
-                        </button>
+                                  viewBox="0 0 24 24"
+                                >
+                                  <path
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                    strokeWidth={2}
+                                    d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5-3h4m-7 3h10"
+                                  />
+                                </svg>
+                                Delete
+                              </>
+                            )}
+                          </button>
+                        )}
                       </td>
                     </tr>
                   );
@@ -0,0 +1,208 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { productApi } from '../api/productApi.js';
+import StockAdjustmentForm from '../components/StockAdjustmentForm.jsx';
+import { MOVEMENT_TYPES } from '../utils/stockAdjustment.js';
+
+const PAGE_SIZE = 25;
+
+/**
+ * StockMovementsPage
+ *
+ * Stock ledger for one product (/products/:id/stock)
+ * - "Adjust stock" form (receive, damage, return, count correction)
+ * - every stock change, newest first, including those caused by sales
+ *   and purchase order receipts
+ * - change, resulting stock, reason / note and who made it
+ */
+export default function StockMovementsPage() {
+  const { id } = useParams();
+
+  const [product, setProduct] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchData = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const [productRes, movementsRes] = await Promise.all([
+        productApi.getProductById(id),
+        productApi.getStockMovements(id, { page, limit: PAGE_SIZE }),
+      ]);
+      setProduct(productRes.data.data);
+      setMovements(movementsRes.data.data || []);
+      setTotalPages(movementsRes.data.pagination?.totalPages || 1);
+    } catch (err) {
+      console.error('Error fetching stock movements:', err);
+      setError(err.response?.data?.message || 'Failed to load stock history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, page]);
+
+  const handleAdjusted = () => {
+    // the new movement is the newest one
+    if (page === 1) fetchData();
+    else setPage(1);
+  };
+
+  if (loading && !product) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading stock history…</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Stock History</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {product ? (
+                <>
+                  <span className="font-mono">{product.sku}</span> · {product.name} · min. {product.minStock}
+                </>
+              ) : 'Product'}
+            </p>
+          </div>
+          <Link
+            to={`/products/edit/${id}`}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Product
+          </Link>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-5 max-w-5xl">
+          {product && <StockAdjustmentForm product={product} onAdjusted={handleAdjusted} />}
+
+          {/* ── LEDGER ──────────────────────────────────────────────────────── */}
+          <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Movements</h2>
+            </div>
+            {movements.length === 0 ? (
+              <p className="px-6 py-10 text-sm text-center" style={{ color: '#94a3b8' }}>No stock movements recorded yet</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                    <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Type</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Change</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock After</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Reason</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {movements.map((movement) => {
+                    const type = MOVEMENT_TYPES[movement.type] || { label: movement.type, bg: '#f1f5f9', color: '#475569' };
+                    const saleId = movement.sale?._id || movement.sale;
+                    const purchaseOrderId = movement.purchaseOrder?._id || movement.purchaseOrder;
+
+                    return (
+                      <tr key={movement._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-3 whitespace-nowrap" style={{ color: '#475569' }}>
+                          {new Date(movement.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className="text-xs font-semibold px-2.5 py-1 rounded-full" style={{ background: type.bg, color: type.color }}>
+                            {type.label}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 text-right font-semibold"
+                          style={{ color: movement.quantity < 0 ? '#dc2626' : '#16a34a' }}>
+                          {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                        </td>
+                        <td className="px-4 py-3 text-right" style={{ color: '#1e293b' }}>
+                          {movement.stockAfter ?? '—'}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span style={{ color: '#1e293b' }}>
+                            {saleId ? (
+                              <Link to={`/sales/${saleId}`} style={{ color: '#3B5CD4' }}>
+                                Sale #{String(saleId).slice(-6).toUpperCase()}
+                              </Link>
+                            ) : purchaseOrderId ? (
+                              <Link to={`/purchase-orders/${purchaseOrderId}`} style={{ color: '#3B5CD4' }}>
+                                PO #{String(purchaseOrderId).slice(-6).toUpperCase()}
+                              </Link>
+                            ) : movement.reason || '—'}
+                          </span>
+                          {movement.note && (
+                            <span className="block text-xs mt-0.5" style={{ color: '#94a3b8' }}>{movement.note}</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-xs" style={{ color: '#64748b' }}>
+                          {movement.user?.email || '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="px-6 py-3 flex items-center justify-between border-t" style={{ borderColor: '#f1f5f9' }}>
+                <span className="text-xs" style={{ color: '#64748b' }}>Page {page} of {totalPages}</span>
+                <div className="flex gap-2">
+                  <button type="button" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                    style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: page <= 1 ? '#cbd5e1' : '#475569' }}>
+                    Previous
+                  </button>
+                  <button type="button" disabled={page >= totalPages || loading} onClick={() => setPage(page + 1)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-semibold"
+                    style={{ background: '#f8fafc', border: '1px solid #e2e8f0', color: page >= totalPages ? '#cbd5e1' : '#475569' }}>
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
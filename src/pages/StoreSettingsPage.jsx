@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { useSettings } from '../context/SettingsContext.jsx';
+import { CURRENCIES, formatMoney } from '../utils/money.js';
+
+const SELECT_ARROW = `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%2394a3b8'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'/%3E%3C/svg%3E")`;
+
+/**
+ * StoreSettingsPage
+ *
+ * Store-wide settings (admin)
+ * - base currency: product prices, purchase orders and reports are in it;
+ *   sales in another currency carry an exchange rate to it
+ * - locale for number formatting (empty = the browser's)
+ * - live preview of how amounts will look
+ */
+export default function StoreSettingsPage() {
+  const { settings, currency, updateSettings } = useSettings();
+
+  // null until the user edits, so the loaded settings show through
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const form = draft || { currency, locale: settings.locale || '' };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft({ ...form, [name]: value });
+    setSuccess('');
+  };
+
+  let preview = '';
+  let localeError = '';
+  try {
+    preview = new Intl.NumberFormat(form.locale.trim() || undefined, {
+      style: 'currency',
+      currency: form.currency,
+    }).format(1234567.89);
+  } catch {
+    localeError = 'Unknown locale, use a tag like en-US or de-DE';
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    if (localeError) return;
+
+    setSaving(true);
+    try {
+      await updateSettings({ currency: form.currency, locale: form.locale.trim() });
+      setDraft(null);
+      setSuccess('Settings saved');
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      setError(err.response?.data?.message || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Store Settings</h1>
+          <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>Currency and number formatting used across the app</p>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {success}
+          </div>
+        )}
+
+        {/* ── CURRENCY CARD ───────────────────────────────────────────────── */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm overflow-hidden max-w-2xl" style={{ border: '1px solid #e2e8f0' }}>
+          <div className="px-6 py-4 border-b flex items-center gap-2" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+            <svg className="w-4 h-4" style={{ color: '#3B5CD4' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Currency</h2>
+          </div>
+
+          <div className="p-6 grid gap-5 md:grid-cols-2">
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                Base Currency
+              </label>
+              <select
+                name="currency"
+                value={form.currency}
+                onChange={handleChange}
+                className="w-full rounded-xl px-4 py-2.5 text-sm focus:outline-none appearance-none"
+                style={{
+                  border: '1px solid #e2e8f0',
+                  background: '#f8fafc',
+                  color: '#1e293b',
+                  backgroundImage: SELECT_ARROW,
+                  backgroundRepeat: 'no-repeat',
+                  backgroundPosition: 'right 14px center',
+                  backgroundSize: '14px',
+                  paddingRight: '36px',
+                }}>
+                {CURRENCIES.map((c) => (
+                  <option key={c.code} value={c.code}>{c.code} — {c.name}</option>
+                ))}
+              </select>
+              <p className="mt-1.5 text-xs" style={{ color: '#94a3b8' }}>
+                Prices, purchase orders and reports use this currency
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                Locale <span style={{ color: '#cbd5e1', fontWeight: 400 }}>(optional)</span>
+              </label>
+              <input
+                name="locale"
+                type="text"
+                value={form.locale}
+                onChange={handleChange}
+                placeholder="Browser default, e.g. en-US"
+                className="w-full rounded-xl px-4 py-2.5 text-sm font-mono focus:outline-none transition-all duration-150"
+                style={{
+                  border: localeError ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                  background: localeError ? '#fef2f2' : '#f8fafc',
+                  color: '#1e293b',
+                }}
+              />
+              {localeError && (
+                <p className="mt-1.5 text-xs" style={{ color: '#dc2626' }}>{localeError}</p>
+              )}
+            </div>
+
+            <div className="md:col-span-2 rounded-xl px-4 py-3 flex items-center justify-between"
+              style={{ background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+              <span className="text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Preview</span>
+              <span className="text-base font-bold" style={{ color: '#1e293b' }}>
+                {preview || formatMoney(1234567.89, form.currency)}
+              </span>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 border-t flex justify-end" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+            <button
+              type="submit"
+              disabled={saving || !draft}
+              className="px-5 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+              style={{ background: saving || !draft ? '#94a3b8' : '#3B5CD4' }}>
+              {saving ? 'Saving…' : 'Save Settings'}
+            </button>
+          </div>
+        </form>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { supplierApi } from '../api/supplierApi.js';
+import { productApi } from '../api/productApi.js';
+import { useAuth } from '../context/AuthContext.jsx';
+import { hasRole, ROLES } from '../context/roles.js';
+import {
+  EMPTY_SUPPLIER,
+  supplierToForm,
+  toSupplierPayload,
+  validateSupplier,
+} from '../utils/supplierForm.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+const SUPPLIER_FIELDS = [
+  { key: 'name', label: 'Supplier Name', placeholder: 'e.g. Acme Corp', required: true },
+  { key: 'contactName', label: 'Contact Person', placeholder: 'e.g. Jane Doe' },
+  { key: 'email', label: 'Email', type: 'email', placeholder: 'orders@acme.com' },
+  { key: 'phone', label: 'Phone', placeholder: '+1 555 0100' },
+  { key: 'leadTimeDays', label: 'Lead Time (days)', type: 'number', placeholder: 'e.g. 7' },
+];
+
+/**
+ * SupplierDetailPage
+ *
+ * Create (/suppliers/new) or view / edit (/suppliers/:id) a supplier
+ * - contact details and lead time
+ * - product count and stock value
+ * - the products linked to this supplier
+ * - delete (admin only)
+ */
+export default function SupplierDetailPage() {
+  const { formatMoney } = useSettings();
+  const { id } = useParams();
+  const isNew = !id;
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canDelete = hasRole(user, [ROLES.ADMIN]);
+
+  const [supplier, setSupplier] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [form, setForm] = useState(EMPTY_SUPPLIER);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(!isNew);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchSupplier = async () => {
+    try {
+      setError('');
+      setLoading(true);
+      const [supplierRes, productsRes] = await Promise.all([
+        supplierApi.getSupplierById(id),
+        productApi.getProducts({ supplier: id, limit: 100, sort: 'name', order: 'asc' }),
+      ]);
+      const s = supplierRes.data.data;
+      setSupplier(s);
+      setForm(supplierToForm(s));
+      setProducts(productsRes.data.data || []);
+    } catch (err) {
+      console.error('Error fetching supplier:', err);
+      setError(err.response?.data?.message || 'Failed to load supplier');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isNew) fetchSupplier();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const newErrors = validateSupplier(form);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSaving(true);
+    try {
+      if (isNew) {
+        const res = await supplierApi.createSupplier(toSupplierPayload(form));
+        navigate(`/suppliers/${res.data.data?._id || ''}`);
+        return;
+      }
+      await supplierApi.updateSupplier(id, toSupplierPayload(form));
+      setSuccess('Supplier updated successfully');
+      await fetchSupplier();
+    } catch (err) {
+      console.error('Error saving supplier:', err);
+      setError(err.response?.data?.message || 'Failed to save supplier');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const confirmed = window.confirm(
+      `Delete supplier "${supplier.name}"? Its ${supplier.productCount ?? 0} product(s) will be left without a supplier.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await supplierApi.deleteSupplier(id);
+      navigate('/suppliers');
+    } catch (err) {
+      console.error('Error deleting supplier:', err);
+      setError(err.response?.data?.message || 'Failed to delete supplier');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading supplier…</span>
+        </div>
+      </div>
+    );
+  }
+
+  const stockValue = supplier?.stockValue ?? products.reduce((sum, p) => sum + (p.stock || 0) * (p.cost || 0), 0);
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>
+              {isNew ? 'New Supplier' : supplier?.name || 'Supplier'}
+            </h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {isNew ? 'Add a vendor to link to your products' : 'Supplier details and linked products'}
+            </p>
+          </div>
+          <Link
+            to="/suppliers"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-150"
+            style={{ background: '#fff', border: '1px solid #e2e8f0', color: '#475569' }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = '#3B5CD4'; e.currentTarget.style.color = '#3B5CD4'; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = '#e2e8f0'; e.currentTarget.style.color = '#475569'; }}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Suppliers
+          </Link>
+        </div>
+
+        {/* Alerts */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', color: '#16a34a' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-5 max-w-4xl">
+
+          {/* ── STATS ─────────────────────────────────────────────────────── */}
+          {!isNew && (
+            <div className="grid gap-4 md:grid-cols-3">
+              {[
+                { label: 'Products', value: supplier?.productCount ?? 0 },
+                { label: 'Stock Value', value: formatMoney(stockValue) },
+                { label: 'Lead Time', value: supplier?.leadTimeDays != null ? `${supplier.leadTimeDays} days` : '—' },
+              ].map((stat) => (
+                <div key={stat.label} className="bg-white rounded-2xl px-5 py-4 shadow-sm" style={{ border: '1px solid #e2e8f0' }}>
+                  <p className="text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>{stat.label}</p>
+                  <p className="text-xl font-bold mt-1" style={{ color: '#1e293b' }}>{stat.value}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* ── DETAILS FORM ──────────────────────────────────────────────── */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+            <div className="px-6 py-4 border-b" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+              <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Supplier Details</h2>
+            </div>
+            <div className="p-6 grid gap-5 md:grid-cols-2">
+              {SUPPLIER_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label className="block text-xs font-semibold uppercase tracking-widest mb-2" style={{ color: '#94a3b8' }}>
+                    {field.label} {field.required && <span style={{ color: '#ef4444' }}>*</span>}
+                  </label>
+                  <input
+                    name={field.key}
+                    type={field.type || 'text'}
+                    value={form[field.key]}
+                    onChange={handleChange}
+                    placeholder={field.placeholder}
+                    className="w-full rounded-xl px-4 py-2.5 text-sm transition-all duration-150 focus:outline-none"
+                    style={{
+                      border: errors[field.key] ? '1px solid #fca5a5' : '1px solid #e2e8f0',
+                      background: errors[field.key] ? '#fef2f2' : '#f8fafc',
+                      color: '#1e293b',
+                    }}
+                  />
+                  {errors[field.key] && (
+                    <p className="mt-1.5 text-xs" style={{ color: '#dc2626' }}>{errors[field.key]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="px-6 py-4 flex items-center justify-between border-t" style={{ borderColor: '#f1f5f9' }}>
+              {!isNew && canDelete ? (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  className="px-4 py-2 rounded-xl text-sm font-semibold"
+                  style={{ background: 'rgba(239,68,68,0.07)', color: '#ef4444', border: '1px solid rgba(239,68,68,0.15)' }}>
+                  Delete Supplier
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-6 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+                style={{
+                  background: saving ? '#93a8e8' : 'linear-gradient(135deg, #3B5CD4, #3A96D4)',
+                  boxShadow: saving ? 'none' : '0 2px 12px rgba(59,92,212,0.3)',
+                }}>
+                {saving ? 'Saving…' : isNew ? 'Create Supplier' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+
+          {/* ── PRODUCTS ──────────────────────────────────────────────────── */}
+          {!isNew && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+              <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#f1f5f9', background: '#fafbff' }}>
+                <h2 className="text-sm font-semibold" style={{ color: '#1e293b' }}>Products</h2>
+                <Link to={`/products?supplier=${id}`} className="text-xs font-semibold" style={{ color: '#3B5CD4' }}>
+                  View in product list →
+                </Link>
+              </div>
+              {products.length === 0 ? (
+                <p className="px-6 py-8 text-sm text-center" style={{ color: '#94a3b8' }}>No products linked to this supplier yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                      <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>SKU</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Name</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Cost</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock</th>
+                      <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {products.map((product) => (
+                      <tr key={product._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td className="px-6 py-3 font-mono text-xs" style={{ color: '#64748b' }}>{product.sku}</td>
+                        <td className="px-4 py-3">
+                          <Link to={`/products/edit/${product._id}`} className="font-medium" style={{ color: '#1e293b' }}>
+                            {product.name}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-3 text-right" style={{ color: '#475569' }}>{formatMoney(product.cost)}</td>
+                        <td className="px-4 py-3 text-right font-semibold"
+                          style={{ color: product.stock <= product.minStock ? '#dc2626' : '#1e293b' }}>
+                          {product.stock}
+                        </td>
+                        <td className="px-4 py-3 text-right font-semibold" style={{ color: '#1e293b' }}>
+                          {formatMoney((product.stock || 0) * (product.cost || 0))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
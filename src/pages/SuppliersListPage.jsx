@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import useSuppliers from '../hooks/useSuppliers.js';
+import { useSettings } from '../context/SettingsContext.jsx';
+
+/**
+ * SuppliersListPage
+ *
+ * Supplier directory
+ * - search by name, contact or email
+ * - contact details and lead time for each supplier
+ * - how many products and how much stock value each supplier accounts for
+ * - links to the supplier detail page and to its products
+ */
+export default function SuppliersListPage() {
+  const { formatMoney } = useSettings();
+  const navigate = useNavigate();
+  const { suppliers, loading, error } = useSuppliers();
+  const [search, setSearch] = useState('');
+
+  const query = search.trim().toLowerCase();
+  const visibleSuppliers = query
+    ? suppliers.filter((s) =>
+      [s.name, s.contactName, s.email].some((value) => String(value || '').toLowerCase().includes(query))
+    )
+    : suppliers;
+
+  const totalStockValue = suppliers.reduce((sum, s) => sum + (Number(s.stockValue) || 0), 0);
+
+  if (loading && suppliers.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ background: '#f1f5f9' }}>
+        <div className="flex items-center gap-3">
+          <svg className="w-5 h-5 animate-spin" style={{ color: '#3B5CD4' }} fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+          </svg>
+          <span className="text-sm font-medium" style={{ color: '#64748b' }}>Loading suppliers…</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex" style={{ background: '#f1f5f9', fontFamily: 'system-ui, sans-serif' }}>
+
+      {/* ── MAIN CONTENT ────────────────────────────────────────────────────── */}
+      <main className="flex-1 p-8 overflow-auto">
+
+        {/* Page header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold" style={{ color: '#1e293b' }}>Suppliers</h1>
+            <p className="text-sm mt-0.5" style={{ color: '#64748b' }}>
+              {suppliers.length} supplier{suppliers.length !== 1 ? 's' : ''} · {formatMoney(totalStockValue)} stock value
+            </p>
+          </div>
+          <Link
+            to="/suppliers/new"
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold text-white transition-all duration-150"
+            style={{ background: 'linear-gradient(135deg, #3B5CD4, #3A96D4)', boxShadow: '0 2px 12px rgba(59,92,212,0.3)' }}
+            onMouseEnter={e => e.currentTarget.style.boxShadow = '0 4px 20px rgba(59,92,212,0.45)'}
+            onMouseLeave={e => e.currentTarget.style.boxShadow = '0 2px 12px rgba(59,92,212,0.3)'}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            New Supplier
+          </Link>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-6 rounded-xl px-4 py-3 text-sm flex items-center gap-2"
+            style={{ background: '#fef2f2', border: '1px solid #fecaca', color: '#dc2626' }}>
+            <svg className="w-4 h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {/* ── FILTERS ─────────────────────────────────────────────────────── */}
+        <div className="bg-white rounded-2xl px-5 py-4 mb-5 flex flex-wrap items-center gap-3 shadow-sm"
+          style={{ border: '1px solid #e2e8f0' }}>
+          <div className="relative">
+            <svg className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none" style={{ color: '#94a3b8' }}
+              fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+            </svg>
+            <input
+              type="text"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Search by name, contact or email…"
+              className="rounded-xl pl-9 pr-4 py-2 text-sm focus:outline-none transition-all duration-150"
+              style={{ border: '1px solid #e2e8f0', background: '#f8fafc', color: '#1e293b', width: '280px' }}
+              onFocus={e => { e.target.style.border = '1px solid #3B5CD4'; e.target.style.background = '#fff'; }}
+              onBlur={e => { e.target.style.border = '1px solid #e2e8f0'; e.target.style.background = '#f8fafc'; }}
+            />
+          </div>
+        </div>
+
+        {/* ── TABLE ───────────────────────────────────────────────────────── */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden" style={{ border: '1px solid #e2e8f0' }}>
+          {visibleSuppliers.length === 0 ? (
+            <div className="py-16 text-center">
+              <p className="text-sm font-medium" style={{ color: '#94a3b8' }}>No suppliers found</p>
+              <p className="text-xs mt-1" style={{ color: '#cbd5e1' }}>
+                {suppliers.length === 0 ? 'Add your first supplier to link it to products' : 'Try a different search'}
+              </p>
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                  <th className="px-6 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Supplier</th>
+                  <th className="px-4 py-3 text-left text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Contact</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Lead Time</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Products</th>
+                  <th className="px-4 py-3 text-right text-xs font-semibold uppercase tracking-widest" style={{ color: '#94a3b8' }}>Stock Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleSuppliers.map((supplier) => (
+                  <tr key={supplier._id}
+                    className="cursor-pointer"
+                    style={{ borderBottom: '1px solid #f1f5f9' }}
+                    onClick={() => navigate(`/suppliers/${supplier._id}`)}
+                    onMouseEnter={e => e.currentTarget.style.background = '#fafbff'}
+                    onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
+                    <td className="px-6 py-4 font-semibold" style={{ color: '#1e293b' }}>{supplier.name}</td>
+                    <td className="px-4 py-4">
+                      <span className="block" style={{ color: '#475569' }}>{supplier.contactName || '—'}</span>
+                      <span className="block text-xs mt-0.5" style={{ color: '#94a3b8' }}>
+                        {[supplier.email, supplier.phone].filter(Boolean).join(' · ')}
+                      </span>
+                    </td>
+                    <td className="px-4 py-4 text-right" style={{ color: '#475569' }}>
+                      {supplier.leadTimeDays != null ? `${supplier.leadTimeDays} day${supplier.leadTimeDays !== 1 ? 's' : ''}` : '—'}
+                    </td>
+                    <td className="px-4 py-4 text-right">
+                      <Link
+                        to={`/products?supplier=${supplier._id}`}
+                        onClick={e => e.stopPropagation()}
+                        className="font-semibold"
+                        style={{ color: '#3B5CD4' }}>
+                        {supplier.productCount ?? 0}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-4 text-right font-semibold" style={{ color: '#1e293b' }}>
+                      {formatMoney(supplier.stockValue)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { downloadBlob } from "./download.js";
+
+/**
+ * CSV export helpers
+ *
+ * - fetchAllPages: walk every page of a paginated list endpoint
+ * - toCsv: RFC 4180 escaping (quotes, commas, newlines)
+ * - downloadCsv: UTF-8 BOM so Excel opens accents / symbols correctly
+ * - parseCsv: read an uploaded CSV back into rows
+ */
+const BOM = "\uFEFF";
+
+// fetchPage(page, limit) must resolve to { list, totalPages }
+export async function fetchAllPages(fetchPage, pageSize = 100) {
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const result = await fetchPage(page, pageSize);
+    rows.push(...result.list);
+    totalPages = result.totalPages || 1;
+    page += 1;
+  } while (page <= totalPages);
+
+  return rows;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // keep spreadsheet apps from evaluating cells as formulas (numbers
+  // skip this above; text like "+1 555…" gets the ' prefix too)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: (row) => any }]
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map((col) => escapeCsvValue(col.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((col) => escapeCsvValue(col.value(row))).join(","),
+    ),
+  ];
+  return lines.join("\r\n");
+}
+
+export function downloadCsv(filename, columns, rows) {
+  const blob = new Blob([BOM + toCsv(columns, rows)], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(blob, filename);
+}
+
+// e.g. "sales-2024-05-01.csv"
+export const csvFilename = (name) =>
+  `${name}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+// returns an array of rows (arrays of strings); handles quoted fields,
+// escaped quotes, CRLF line endings, a leading BOM and blank lines
+export function parseCsv(text) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
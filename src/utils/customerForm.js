@@ -0,0 +1,40 @@
+/**
+ * Shared helpers for the customer form
+ *
+ * - empty form / fill from an API customer
+ * - client-side validation
+ * - payload with trimmed strings
+ */
+export const EMPTY_CUSTOMER = {
+  name: "",
+  email: "",
+  phone: "",
+  notes: "",
+};
+
+export function customerToForm(customer) {
+  return Object.fromEntries(
+    Object.keys(EMPTY_CUSTOMER).map((key) => [key, customer?.[key] ?? ""]),
+  );
+}
+
+// returns a fieldErrors object; empty when the form is valid
+export function validateCustomer(form) {
+  const errors = {};
+
+  if (!form.name.trim()) {
+    errors.name = "Customer name is required";
+  }
+
+  if (form.email.trim() && !/.+@.+\..+/.test(form.email.trim())) {
+    errors.email = "Please enter a valid email";
+  }
+
+  return errors;
+}
+
+export function toCustomerPayload(form) {
+  return Object.fromEntries(
+    Object.keys(EMPTY_CUSTOMER).map((key) => [key, String(form[key] ?? "").trim()]),
+  );
+}
@@ -0,0 +1,19 @@
+/**
+ * downloadBlob
+ *
+ * Save a Blob to disk by clicking a temporary <a download> link.
+ */
+export function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+
+  // Create a temporary <a> element to trigger download
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  link.remove();
+  window.URL.revokeObjectURL(url);
+}
@@ -0,0 +1,70 @@
+/**
+ * Money formatting and currency helpers
+ *
+ * - formatMoney: locale-aware amount in a currency (Intl.NumberFormat)
+ * - formatCompactMoney: short form for chart axes ("$1.2K")
+ * - currencySymbol: "$", "€", … for input prefixes and toggles
+ * - toBaseAmount / fromBaseAmount: convert with a sale's exchange rate,
+ *   i.e. how much one unit of the sale currency is worth in the store's
+ *   base currency
+ *
+ * Components normally use `formatMoney` from useSettings(), which
+ * defaults to the store currency.
+ */
+export const DEFAULT_CURRENCY = "USD";
+
+export const CURRENCIES = [
+  { code: "USD", name: "US Dollar" },
+  { code: "EUR", name: "Euro" },
+  { code: "GBP", name: "British Pound" },
+  { code: "CAD", name: "Canadian Dollar" },
+  { code: "AUD", name: "Australian Dollar" },
+  { code: "CHF", name: "Swiss Franc" },
+  { code: "JPY", name: "Japanese Yen" },
+  { code: "CNY", name: "Chinese Yuan" },
+  { code: "INR", name: "Indian Rupee" },
+  { code: "MXN", name: "Mexican Peso" },
+  { code: "BRL", name: "Brazilian Real" },
+  { code: "ZAR", name: "South African Rand" },
+];
+
+// Intl.NumberFormat is slow to build, keep one per locale + currency
+const formatters = new Map();
+
+function getFormatter(currency, locale, notation = "standard") {
+  const key = `${locale || ""}|${currency}|${notation}`;
+  if (!formatters.has(key)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale || undefined, { style: "currency", currency, notation });
+    } catch {
+      // unknown currency code or locale
+      formatter = new Intl.NumberFormat(undefined, { style: "currency", currency: DEFAULT_CURRENCY, notation });
+    }
+    formatters.set(key, formatter);
+  }
+  return formatters.get(key);
+}
+
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale) {
+  return getFormatter(currency || DEFAULT_CURRENCY, locale).format(Number(amount) || 0);
+}
+
+export function formatCompactMoney(amount, currency = DEFAULT_CURRENCY, locale) {
+  return getFormatter(currency || DEFAULT_CURRENCY, locale, "compact").format(Number(amount) || 0);
+}
+
+export function currencySymbol(currency = DEFAULT_CURRENCY, locale) {
+  const part = getFormatter(currency || DEFAULT_CURRENCY, locale)
+    .formatToParts(0)
+    .find((p) => p.type === "currency");
+  return part?.value || currency;
+}
+
+export function toBaseAmount(amount, exchangeRate) {
+  return (Number(amount) || 0) * (Number(exchangeRate) || 1);
+}
+
+export function fromBaseAmount(amount, exchangeRate) {
+  return (Number(amount) || 0) / (Number(exchangeRate) || 1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Product form schema
+ *
+ * Single source of truth for the product fields used by the create / edit
+ * pages (rendered by ProductFormFields) and the CSV import:
+ * - field metadata (label, section, input type, required, min, default)
+ *   `money` fields are in the store currency and get its symbol as prefix
+ *   select options are plain strings or { value, label }
+ * - validateProduct: client-side rules
+ * - toProductPayload: normalise form values before sending them
+ * - productToForm: fill the form from a product returned by the API
+ * - supplierIdOf: the supplier id a product references, if any
+ * - mapServerErrors: turn a backend error into field / top-level messages
+ */
+// built-in categories, used when the store's own list can't be loaded
+export const PRODUCT_CATEGORIES = ['Electronics', 'Clothing', 'Food', 'Home', 'Others'];
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// products come back with a populated supplier, its id, or (older
+// products) a free-text supplier name; names only resolve when they
+// match one of `suppliers`, otherwise the supplier counts as unset
+export function supplierIdOf(value, suppliers = []) {
+  const id = value?._id ?? value;
+  if (typeof id !== 'string' || id.trim() === '') return '';
+  if (OBJECT_ID.test(id)) return id;
+
+  const name = id.trim().toLowerCase();
+  return suppliers.find((supplier) => supplier.name?.trim().toLowerCase() === name)?._id || '';
+}
+
+export const PRODUCT_FIELDS = [
+  {
+    key: 'sku', label: 'SKU', section: 'identity', required: true,
+    placeholder: 'e.g. PROD-001', mono: true,
+    normalize: (value) => value.trim().toUpperCase(),
+  },
+  {
+    key: 'name', label: 'Product Name', errorLabel: 'Name', section: 'identity', required: true,
+    placeholder: 'e.g. Wireless Keyboard',
+  },
+  {
+    key: 'category', label: 'Category', section: 'identity', type: 'select',
+    options: PRODUCT_CATEGORIES, placeholder: 'Select category', defaultValue: 'Others',
+  },
+  {
+    key: 'supplier', label: 'Supplier', section: 'identity', type: 'select', hint: '(optional)',
+    options: [], placeholder: 'No supplier', defaultValue: null,
+    // the form keeps the id; legacy supplier names are left unset
+    fromProduct: (value) => supplierIdOf(value),
+  },
+  {
+    key: 'description', label: 'Description', section: 'identity', type: 'textarea', hint: '(optional)',
+    placeholder: 'Brief product description…', fullWidth: true,
+  },
+  {
+    key: 'price', label: 'Sale Price', errorLabel: 'Price', section: 'pricing', type: 'number',
+    required: true, min: 0, step: '0.01', money: true, placeholder: '0.00',
+  },
+  {
+    key: 'cost', label: 'Cost Price', errorLabel: 'Cost', section: 'pricing', type: 'number',
+    required: true, min: 0, step: '0.01', money: true, placeholder: '0.00',
+  },
+  {
+    key: 'taxClass', label: 'Tax Class', section: 'pricing', type: 'select', hint: '(optional)',
+    options: [], placeholder: 'No tax class',
+  },
+  {
+    key: 'taxInclusive', label: 'Sale Price Includes Tax', errorLabel: 'Tax inclusive', section: 'pricing',
+    type: 'select', placeholder: 'Not set (tax added on top)', defaultValue: false,
+    options: [
+      { value: 'false', label: 'No (tax added on top)' },
+      { value: 'true', label: 'Yes (tax included)' },
+    ],
+    // the form keeps 'true' / 'false'; CSV imports may say yes / 1
+    normalize: (value) => ['true', 'yes', '1', 'inclusive'].includes(value.toLowerCase()),
+    fromProduct: (value) => (value == null ? value : String(Boolean(value))),
+  },
+  {
+    key: 'stock', label: 'Current Stock', errorLabel: 'Stock', section: 'stock', type: 'number',
+    required: true, min: 0, placeholder: '0',
+  },
+  {
+    key: 'minStock', label: 'Minimum Stock', errorLabel: 'Min stock', section: 'stock', type: 'number',
+    min: 0, hint: '(low stock alert)', placeholder: '10', defaultValue: 10,
+  },
+];
+
+export const EMPTY_PRODUCT_FORM = Object.fromEntries(PRODUCT_FIELDS.map((f) => [f.key, '']));
+
+// returns { field: message }; an empty object means the product is valid
+export function validateProduct(form) {
+  const newErrors = {};
+
+  PRODUCT_FIELDS.forEach((field) => {
+    const name = field.errorLabel || field.label;
+    const value = String(form[field.key] ?? '').trim();
+
+    if (value === '') {
+      if (field.required) newErrors[field.key] = `${name} is required`;
+      return;
+    }
+
+    if (field.type === 'number') {
+      if (isNaN(Number(value))) {
+        newErrors[field.key] = `${name} must be a number`;
+      } else if (field.min !== undefined && Number(value) < field.min) {
+        newErrors[field.key] = `${name} cannot be negative`;
+      }
+    }
+  });
+
+  return newErrors;
+}
+
+// SKU uppercased, numbers converted, empty optional fields get their default
+export function toProductPayload(form) {
+  return Object.fromEntries(
+    PRODUCT_FIELDS.map((field) => {
+      const raw = String(form[field.key] ?? '').trim();
+
+      if (raw === '') {
+        return [field.key, 'defaultValue' in field ? field.defaultValue : ''];
+      }
+      if (field.type === 'number') {
+        return [field.key, Number(raw)];
+      }
+      return [field.key, field.normalize ? field.normalize(raw) : raw];
+    })
+  );
+}
+
+export function productToForm(product) {
+  return Object.fromEntries(
+    PRODUCT_FIELDS.map((field) => {
+      const value = product?.[field.key];
+      return [field.key, (field.fromProduct ? field.fromProduct(value) : value) ?? ''];
+    })
+  );
+}
+
+/**
+ * Backend errors come as { message } or with per-field details
+ * ({ errors: { sku: '...' } } or [{ path|field|param, msg|message }]).
+ * Returns { fieldErrors, message } — message is only set when nothing
+ * could be attached to a field.
+ */
+export function mapServerErrors(err, fallbackMessage) {
+  const data = err.response?.data || {};
+  const fieldKeys = PRODUCT_FIELDS.map((f) => f.key);
+  const fieldErrors = {};
+
+  const details = Array.isArray(data.errors)
+    ? data.errors.map((e) => [e.path || e.field || e.param, e.msg || e.message])
+    : Object.entries(data.errors || {}).map(([key, e]) => [key, e?.message || e]);
+
+  details.forEach(([key, message]) => {
+    if (fieldKeys.includes(key) && message) fieldErrors[key] = String(message);
+  });
+
+  // duplicate SKU or other SKU-specific backend error
+  if (Object.keys(fieldErrors).length === 0 && data.message?.toLowerCase().includes('sku')) {
+    fieldErrors.sku = data.message;
+  }
+
+  return {
+    fieldErrors,
+    message: Object.keys(fieldErrors).length > 0 ? '' : data.message || fallbackMessage,
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for purchase orders
+ *
+ * - empty line / open statuses / display number
+ * - total cost and client-side validation
+ * - quantities left to receive and suggested reorder quantities
+ */
+export const EMPTY_PO_LINE = { productId: "", quantity: 1, unitCost: 0 };
+
+// POs still waiting for goods
+export const OPEN_PO_STATUSES = ["draft", "sent", "partial"];
+
+export const poNumber = (po) =>
+  po.poNumber || `PO-${String(po._id).slice(-6).toUpperCase()}`;
+
+export function computePoTotal(lines) {
+  return lines.reduce(
+    (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0),
+    0,
+  );
+}
+
+export const remainingQuantity = (line) =>
+  Math.max((Number(line.quantity) || 0) - (Number(line.receivedQuantity) || 0), 0);
+
+// restock up to twice the product's minimum, at least one unit
+export const reorderQuantity = (product) =>
+  Math.max((Number(product.minStock) || 0) * 2 - (Number(product.stock) || 0), 1);
+
+// returns a fieldErrors object; empty when the PO is valid
+export function validatePurchaseOrder(supplierId, lines) {
+  const errors = {};
+
+  if (!supplierId) {
+    errors.supplier = "Select a supplier";
+  }
+
+  if (lines.length === 0) {
+    errors.items = "Add at least one product";
+  }
+
+  const itemErrors = lines.map((line) => {
+    const lineErrors = {};
+    if (!line.productId) lineErrors.productId = "Select a product";
+    if (!(Number.isInteger(Number(line.quantity)) && Number(line.quantity) > 0)) {
+      lineErrors.quantity = "Min 1";
+    }
+    if (line.unitCost === "" || Number(line.unitCost) < 0) {
+      lineErrors.unitCost = "Invalid cost";
+    }
+    return lineErrors;
+  });
+
+  const productIds = lines.map((line) => line.productId).filter(Boolean);
+  if (new Set(productIds).size !== productIds.length) {
+    errors.items = "Each product can only appear once";
+  }
+
+  if (itemErrors.some((lineErrors) => Object.keys(lineErrors).length > 0)) {
+    errors.itemErrors = itemErrors;
+  }
+
+  return errors;
+}
@@ -0,0 +1,357 @@
+import { fromBaseAmount, toBaseAmount } from "./money.js";
+
+/**
+ * Shared helpers for the sale create / edit forms
+ *
+ * - empty item row
+ * - line / order discounts (percentage or fixed amount)
+ * - per-line tax (rate from the product's tax class, price inclusive or
+ *   exclusive of tax) and the tax breakdown by rate
+ * - subtotal / discounts / tax / total
+ * - sale currency + exchange rate to the store's base currency; prices and
+ *   fixed discounts are converted when either changes
+ * - client-side validation (customer + items, stock)
+ * - SKU lookup + adding a scanned product to the items
+ * - stock check per line
+ */
+export const EMPTY_ITEM = {
+  productId: "",
+  quantity: 1,
+  unitPrice: 0,
+  discountType: "percent",
+  discountValue: "",
+  taxClass: "",
+  taxRate: "",
+  taxInclusive: false,
+  // unit price / fixed discount in the base currency, see convertAmounts
+  basePrice: "",
+  baseDiscount: "",
+};
+
+export const DISCOUNT_TYPES = [
+  { value: "percent", label: "%" },
+  { value: "fixed", label: "Fixed" },
+];
+
+// discount on `amount`: a percentage of it or a fixed amount, never more
+// than the amount itself
+export function discountAmount(amount, discountType, discountValue) {
+  const value = Number(discountValue) || 0;
+  if (value <= 0 || amount <= 0) return 0;
+  const discount = discountType === "fixed" ? value : (amount * value) / 100;
+  return Math.min(discount, amount);
+}
+
+export function computeLineTotals(item) {
+  const gross = (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0);
+  const discount = discountAmount(gross, item.discountType, item.discountValue);
+  return { gross, discount, net: gross - discount };
+}
+
+// tax fields a line takes from its product; the rate is copied onto the
+// line so a saved sale keeps it when the class's rate changes later
+export function productTaxFields(product, taxClasses = []) {
+  const taxClass = product.taxClass || "";
+  const match = taxClasses.find((c) => c.name === taxClass);
+  return {
+    taxClass,
+    taxRate: product.taxRate ?? match?.rate ?? 0,
+    taxInclusive: Boolean(product.taxInclusive),
+  };
+}
+
+// tax contained in `amount` (inclusive) or added on top of it (exclusive)
+function taxOn(amount, rate, inclusive) {
+  if (rate <= 0 || amount <= 0) return 0;
+  return inclusive ? amount - amount / (1 + rate / 100) : (amount * rate) / 100;
+}
+
+// scanners type the code followed by Enter; SKUs are stored uppercase
+export function findProductBySku(products, code) {
+  const sku = String(code || "").trim().toUpperCase();
+  if (!sku) return null;
+  return products.find((p) => String(p.sku || "").toUpperCase() === sku) || null;
+}
+
+// base-currency amount in the sale currency, rounded to cents
+const toSalePrice = (basePrice, exchangeRate) =>
+  Math.round(fromBaseAmount(basePrice, exchangeRate) * 100) / 100;
+
+// typed sale-currency amount in the base currency; "" when it can't be known
+const toBasePrice = (amount, exchangeRate) =>
+  exchangeRate && amount !== "" && amount != null ? toBaseAmount(amount, exchangeRate) : "";
+
+// only a fixed discount is an amount; a percentage needs no converting
+const baseDiscountOf = ({ discountType, discountValue }, exchangeRate) =>
+  discountType === "fixed" ? toBasePrice(discountValue, exchangeRate) : "";
+
+// product prices are in the base currency; a sale in another currency
+// gets them converted at its exchange rate
+export function productLinePrice(product, exchangeRate = 1) {
+  return toSalePrice(product.price ?? 0, exchangeRate);
+}
+
+// price fields of a line for `product`: the converted unit price plus the
+// base price it was converted from
+export function productPriceFields(product, exchangeRate = 1) {
+  return {
+    unitPrice: productLinePrice(product, exchangeRate),
+    basePrice: product.price ?? 0,
+  };
+}
+
+// rate of the sale currency to the base currency; null while a foreign
+// currency has no usable rate yet
+export function saleExchangeRate({ currency, exchangeRate }, baseCurrency) {
+  if (!currency || currency === baseCurrency) return 1;
+  const rate = Number(exchangeRate);
+  return rate > 0 ? rate : null;
+}
+
+// set a field of a line or of the order discount. Typed amounts are in the
+// sale currency; their base-currency copies (basePrice, baseDiscount)
+// follow them so convertAmounts can redo them in another currency
+export function withAmountField(target, field, value, exchangeRate) {
+  const updated = { ...target, [field]: value };
+  if (field === "unitPrice") {
+    updated.basePrice = toBasePrice(value, exchangeRate);
+  }
+  if (field === "discountValue" || field === "discountType") {
+    updated.baseDiscount = baseDiscountOf(updated, exchangeRate);
+  }
+  return updated;
+}
+
+// base-currency copies for amounts loaded from a saved sale
+export function withBaseAmounts(target, exchangeRate) {
+  return {
+    ...target,
+    ...("unitPrice" in target ? { basePrice: toBasePrice(target.unitPrice, exchangeRate) } : {}),
+    baseDiscount: baseDiscountOf(target, exchangeRate),
+  };
+}
+
+// after a change of currency or rate, convert the unit price and a fixed
+// discount from their base amounts so they never stay in the old currency
+export function convertAmounts(target, exchangeRate) {
+  if (!exchangeRate) return target;
+  const converted = { ...target };
+  if (target.basePrice !== "" && target.basePrice != null) {
+    converted.unitPrice = toSalePrice(target.basePrice, exchangeRate);
+  }
+  if (target.discountType === "fixed" && target.baseDiscount !== "" && target.baseDiscount != null) {
+    converted.discountValue = toSalePrice(target.baseDiscount, exchangeRate);
+  }
+  return converted;
+}
+
+export const repriceItems = (items, exchangeRate) =>
+  items.map((item) => convertAmounts(item, exchangeRate));
+
+// bumps the quantity of an existing line, otherwise fills the first empty
+// row or appends a new line priced (and taxed) like the product
+export function addProductToItems(items, product, taxClasses = [], exchangeRate = 1) {
+  const existing = items.findIndex((item) => item.productId === product._id);
+  if (existing !== -1) {
+    return items.map((item, i) =>
+      i === existing
+        ? { ...item, quantity: (Number(item.quantity) || 0) + 1 }
+        : item,
+    );
+  }
+
+  const line = {
+    ...EMPTY_ITEM,
+    productId: product._id,
+    ...productPriceFields(product, exchangeRate),
+    ...productTaxFields(product, taxClasses),
+  };
+  const empty = items.findIndex((item) => !item.productId);
+  if (empty !== -1) {
+    return items.map((item, i) => (i === empty ? line : item));
+  }
+  return [...items, line];
+}
+
+// subtotal is before discounts; the order discount applies to the
+// subtotal after line discounts and is spread over the lines in proportion
+// to their value. Each line is then taxed at its own rate: exclusive tax is
+// added to the total, inclusive tax is already part of it.
+// `defaultTaxRate` covers lines without a rate (sales saved before tax
+// classes, which had one tax percentage for the whole sale).
+export function computeSaleTotals(items, orderDiscount = {}, defaultTaxRate = 0) {
+  const lines = items.map(computeLineTotals);
+  const subtotal = lines.reduce((sum, line) => sum + line.gross, 0);
+  const lineDiscountTotal = lines.reduce((sum, line) => sum + line.discount, 0);
+  const netTotal = subtotal - lineDiscountTotal;
+
+  const orderDiscountAmount = discountAmount(
+    netTotal,
+    orderDiscount.discountType,
+    orderDiscount.discountValue,
+  );
+  const discountTotal = lineDiscountTotal + orderDiscountAmount;
+  const byRate = {};
+  let taxAmount = 0;
+  let includedTaxAmount = 0;
+  items.forEach((item, index) => {
+    const { net } = lines[index];
+    const share = netTotal > 0 ? (net / netTotal) * orderDiscountAmount : 0;
+    const amount = net - share;
+    const rate =
+      item.taxRate === "" || item.taxRate == null
+        ? Number(defaultTaxRate) || 0
+        : Number(item.taxRate) || 0;
+    const inclusive = Boolean(item.taxInclusive);
+    const tax = taxOn(amount, rate, inclusive);
+
+    taxAmount += tax;
+    if (inclusive) includedTaxAmount += tax;
+
+    const entry = byRate[rate] || { rate, taxClasses: [], netAmount: 0, taxAmount: 0 };
+    entry.netAmount += inclusive ? amount - tax : amount;
+    entry.taxAmount += tax;
+    if (item.taxClass && !entry.taxClasses.includes(item.taxClass)) {
+      entry.taxClasses.push(item.taxClass);
+    }
+    byRate[rate] = entry;
+  });
+
+  const taxBreakdown = Object.values(byRate)
+    .filter((entry) => entry.netAmount > 0)
+    .sort((a, b) => b.rate - a.rate);
+  const totalAmount = subtotal - discountTotal + taxAmount - includedTaxAmount;
+
+  return {
+    subtotal,
+    lineDiscountTotal,
+    orderDiscountAmount,
+    discountTotal,
+    taxAmount,
+    includedTaxAmount,
+    taxBreakdown,
+    totalAmount,
+  };
+}
+
+// tax fields as sent to the backend
+export function toTaxPayload({ taxClass, taxRate, taxInclusive }) {
+  return {
+    taxClass: taxClass || "",
+    taxRate: Number(taxRate) || 0,
+    taxInclusive: Boolean(taxInclusive),
+  };
+}
+
+// discount fields as sent to the backend
+export function toDiscountPayload({ discountType, discountValue }) {
+  return {
+    discountType: discountType === "fixed" ? "fixed" : "percent",
+    discountValue: Number(discountValue) || 0,
+  };
+}
+
+// an empty currency means the store's base currency (rate 1)
+export function toCurrencyPayload({ currency, exchangeRate }, baseCurrency) {
+  const saleCurrency = currency || baseCurrency;
+  return {
+    currency: saleCurrency,
+    exchangeRate: saleCurrency === baseCurrency ? 1 : Number(exchangeRate),
+  };
+}
+
+// null when valid
+function validateDiscount({ discountType, discountValue }) {
+  if (discountValue === "" || discountValue == null) return null;
+  const value = Number(discountValue);
+  if (Number.isNaN(value) || value < 0) return "Discount cannot be negative";
+  if (discountType !== "fixed" && value > 100) return "Discount cannot exceed 100%";
+  return null;
+}
+
+// Stock check per line (null when the product or its stock is unknown).
+// Quantities of the same product on several lines are added up. `reserved`
+// maps productId -> quantity this sale already took from stock (editing a
+// saved sale), which is available to it again.
+export function computeLineStock(items, products, reserved = {}) {
+  const requested = {};
+  items.forEach((item) => {
+    if (!item.productId) return;
+    requested[item.productId] =
+      (requested[item.productId] || 0) + (Number(item.quantity) || 0);
+  });
+
+  return items.map((item) => {
+    const product = products.find((p) => p._id === item.productId);
+    if (!product || product.stock == null) return null;
+
+    const available = Number(product.stock) + (reserved[item.productId] || 0);
+    const requestedTotal = requested[item.productId];
+    const remaining = available - requestedTotal;
+    const minStock = Number(product.minStock) || 0;
+
+    return {
+      available,
+      requested: requestedTotal,
+      remaining,
+      minStock,
+      insufficient: remaining < 0,
+      belowMin: remaining >= 0 && remaining < minStock,
+    };
+  });
+}
+
+// returns a fieldErrors object; empty when the form is valid.
+// `lineStock` (from computeLineStock) blocks lines asking for more than
+// is in stock; falling below minStock is only a warning.
+export function validateSaleForm(customer, items, lineStock = []) {
+  const errors = {};
+
+  if (!customer.customerName.trim()) {
+    errors.customerName = "Customer name is required";
+  }
+
+  if (!customer.customerEmail.trim()) {
+    errors.customerEmail = "Customer email is required";
+  } else if (!/.+@.+\..+/.test(customer.customerEmail.trim())) {
+    errors.customerEmail = "Please enter a valid email";
+  }
+
+  const orderDiscountError = validateDiscount(customer);
+  if (orderDiscountError) errors.discountValue = orderDiscountError;
+
+  if (customer.currency && !(Number(customer.exchangeRate) > 0)) {
+    errors.exchangeRate = "Exchange rate must be greater than 0";
+  }
+
+  // validate items: at least one valid item
+  if (!items || items.length === 0) {
+    errors.items = "Add at least one item";
+  } else {
+    const itemErrors = [];
+    items.forEach((item, index) => {
+      const ie = {};
+      if (!item.productId) {
+        ie.productId = "Select a product";
+      }
+      if (!item.quantity || Number(item.quantity) <= 0) {
+        ie.quantity = "Quantity must be at least 1";
+      } else if (lineStock[index]?.insufficient) {
+        ie.quantity = `Only ${lineStock[index].available} in stock`;
+      }
+      if (item.unitPrice === "" || Number(item.unitPrice) < 0) {
+        ie.unitPrice = "Unit price must be 0 or more";
+      }
+      const discountError = validateDiscount(item);
+      if (discountError) ie.discountValue = discountError;
+      itemErrors[index] = ie;
+    });
+
+    //Only add itemErrors if there is at least one error
+    if (itemErrors.some((ie) => Object.keys(ie || {}).length > 0)) {
+      errors.itemErrors = itemErrors;
+    }
+  }
+
+  return errors;
+}
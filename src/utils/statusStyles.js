@@ -0,0 +1,25 @@
+/**
+ * Badge colours for sale, invoice and purchase order statuses
+ * (same palette as the sales / invoices list pages)
+ */
+export const SALE_STATUS_STYLES = {
+  completed: { bg: "rgba(51,184,51,0.1)", color: "#16a34a", dot: "#33B833" },
+  cancelled: { bg: "rgba(239,68,68,0.1)", color: "#dc2626", dot: "#ef4444" },
+  pending: { bg: "rgba(245,158,11,0.1)", color: "#b45309", dot: "#f59e0b" },
+};
+
+export const INVOICE_STATUS_STYLES = {
+  paid: { bg: "rgba(51,184,51,0.1)", color: "#16a34a", dot: "#33B833" },
+  cancelled: { bg: "rgba(239,68,68,0.1)", color: "#dc2626", dot: "#ef4444" },
+  overdue: { bg: "rgba(234,88,12,0.1)", color: "#c2410c", dot: "#f97316" },
+  sent: { bg: "rgba(59,92,212,0.1)", color: "#3B5CD4", dot: "#3B5CD4" },
+  draft: { bg: "rgba(100,116,139,0.1)", color: "#475569", dot: "#94a3b8" },
+};
+
+export const PURCHASE_ORDER_STATUS_STYLES = {
+  received: { bg: "rgba(51,184,51,0.1)", color: "#16a34a", dot: "#33B833" },
+  cancelled: { bg: "rgba(239,68,68,0.1)", color: "#dc2626", dot: "#ef4444" },
+  partial: { bg: "rgba(245,158,11,0.1)", color: "#b45309", dot: "#f59e0b" },
+  sent: { bg: "rgba(59,92,212,0.1)", color: "#3B5CD4", dot: "#3B5CD4" },
+  draft: { bg: "rgba(100,116,139,0.1)", color: "#475569", dot: "#94a3b8" },
+};
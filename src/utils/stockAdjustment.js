@@ -0,0 +1,75 @@
+/**
+ * Stock adjustment helpers
+ *
+ * - ADJUSTMENT_TYPES: manual adjustments with their reason codes
+ * - MOVEMENT_TYPES: label / colours for every ledger entry type,
+ *   including the movements created by sales and purchase orders
+ * - resulting stock preview and client-side validation
+ */
+export const ADJUSTMENT_TYPES = {
+  receive: {
+    label: "Receive",
+    direction: 1,
+    reasons: ["Supplier delivery", "Transfer in", "Other"],
+  },
+  damage: {
+    label: "Damage / loss",
+    direction: -1,
+    reasons: ["Damaged", "Expired", "Lost or stolen", "Other"],
+  },
+  return: {
+    label: "Customer return",
+    direction: 1,
+    reasons: ["Returned unopened", "Returned faulty", "Other"],
+  },
+  // quantity is the counted stock level, not a difference
+  count: {
+    label: "Count correction",
+    direction: 0,
+    reasons: ["Cycle count", "Annual stocktake", "Data entry fix", "Other"],
+  },
+};
+
+export const MOVEMENT_TYPES = {
+  receive: { label: "Received", bg: "rgba(51,184,51,0.1)", color: "#16a34a" },
+  return: { label: "Return", bg: "rgba(51,184,51,0.1)", color: "#16a34a" },
+  damage: { label: "Damage", bg: "rgba(239,68,68,0.1)", color: "#dc2626" },
+  count: { label: "Count", bg: "rgba(59,92,212,0.1)", color: "#3B5CD4" },
+  sale: { label: "Sale", bg: "rgba(245,158,11,0.1)", color: "#b45309" },
+  sale_update: { label: "Sale edit", bg: "rgba(245,158,11,0.1)", color: "#b45309" },
+  sale_cancel: { label: "Sale cancelled", bg: "rgba(100,116,139,0.1)", color: "#475569" },
+  purchase: { label: "PO received", bg: "rgba(51,184,51,0.1)", color: "#16a34a" },
+  edit: { label: "Manual edit", bg: "rgba(100,116,139,0.1)", color: "#475569" },
+};
+
+export const EMPTY_ADJUSTMENT = { type: "receive", quantity: "", reason: "", note: "" };
+
+// stock level once the adjustment is applied
+export function adjustedStock(currentStock, adjustment) {
+  const quantity = Number(adjustment.quantity) || 0;
+  const { direction } = ADJUSTMENT_TYPES[adjustment.type];
+  return direction === 0 ? quantity : currentStock + direction * quantity;
+}
+
+// returns a fieldErrors object; empty when the adjustment is valid
+export function validateAdjustment(adjustment, currentStock) {
+  const errors = {};
+  const quantity = String(adjustment.quantity).trim();
+
+  if (quantity === "" || !Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+    errors.quantity = "Enter a whole number of units";
+  } else if (adjustment.type !== "count" && Number(quantity) === 0) {
+    errors.quantity = "Quantity must be at least 1";
+  } else if (adjustedStock(currentStock, adjustment) < 0) {
+    errors.quantity = `Only ${currentStock} in stock`;
+  }
+
+  if (!adjustment.reason) {
+    errors.reason = "Pick a reason";
+  }
+  if (adjustment.reason === "Other" && !adjustment.note.trim()) {
+    errors.note = "Explain the adjustment when the reason is Other";
+  }
+
+  return errors;
+}
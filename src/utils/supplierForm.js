@@ -0,0 +1,51 @@
+/**
+ * Shared helpers for the supplier form
+ *
+ * - empty form / fill from an API supplier
+ * - client-side validation
+ * - payload with trimmed strings and a numeric lead time
+ */
+export const EMPTY_SUPPLIER = {
+  name: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  leadTimeDays: "",
+};
+
+export function supplierToForm(supplier) {
+  return Object.fromEntries(
+    Object.keys(EMPTY_SUPPLIER).map((key) => [key, supplier?.[key] ?? ""]),
+  );
+}
+
+// returns a fieldErrors object; empty when the form is valid
+export function validateSupplier(form) {
+  const errors = {};
+
+  if (!form.name.trim()) {
+    errors.name = "Supplier name is required";
+  }
+
+  if (form.email.trim() && !/.+@.+\..+/.test(form.email.trim())) {
+    errors.email = "Please enter a valid email";
+  }
+
+  const leadTime = String(form.leadTimeDays).trim();
+  if (leadTime !== "" && !(Number.isInteger(Number(leadTime)) && Number(leadTime) >= 0)) {
+    errors.leadTimeDays = "Lead time must be a whole number of days";
+  }
+
+  return errors;
+}
+
+export function toSupplierPayload(form) {
+  const leadTime = String(form.leadTimeDays).trim();
+  return {
+    name: form.name.trim(),
+    contactName: form.contactName.trim(),
+    email: form.email.trim(),
+    phone: form.phone.trim(),
+    leadTimeDays: leadTime === "" ? null : Number(leadTime),
+  };
+}